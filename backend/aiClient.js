@@ -1,7 +1,43 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+/* backend/aiClient.js */
 const config = require("./config");
+const providers = require("./providers");
 
-// Initialize Gemini AI client with API key from config
-const genAI = new GoogleGenerativeAI(config.geminiApiKey);
+// Instantiate the configured LLM provider (gemini, openai or mock)
+const providerModule = providers[config.llmProvider];
+if (!providerModule) {
+  throw new Error(`Unknown LLM provider '${config.llmProvider}'. Available: ${Object.keys(providers).join(', ')}`);
+}
+let provider = providerModule.create(config);
+let activeApiKey = config.geminiApiKey;
 
-module.exports = genAI; 
\ No newline at end of file
+/**
+ * Gemini SDK-compatible facade over the active provider, so callers can keep using
+ * genAI.getGenerativeModel({ ... }).generateContent(prompt) and res.response.text().
+ * Requests are routed through modelRouter, which picks the model for a role
+ * ({ role: 'cot' }) or honors a pinned model ({ model: '...' }) and handles failover.
+ */
+const genAI = {
+  get provider() {
+    return provider;
+  },
+
+  get apiKey() {
+    return activeApiKey;
+  },
+
+  /**
+   * Recreate the provider with a different Gemini API key (used for key rotation)
+   * @param {string} apiKey - Key to switch to
+   */
+  useApiKey(apiKey) {
+    activeApiKey = apiKey;
+    provider = providerModule.create({ ...config, geminiApiKey: apiKey });
+  },
+
+  getGenerativeModel({ model, role } = {}) {
+    // Required lazily: modelRouter depends on this module
+    return require("./modelRouter").getModel(role, model);
+  }
+};
+
+module.exports = genAI;
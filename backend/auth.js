@@ -0,0 +1,70 @@
+/* backend/auth.js */
+// Resolves the user behind a WebSocket connection or HTTP request
+const config = require('./config');
+const logger = require('./logger');
+
+// User IDs name memory files, so keep them to a safe alphabet
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Identity of clients that do not name a user (development mode only)
+const ANONYMOUS_USER = 'anonymous';
+
+// token -> userId, parsed from AUTH_TOKENS="token1:alice,token2:bob"
+const tokens = new Map();
+for (const pair of config.authTokens.split(',')) {
+  if (!pair.trim()) continue;
+  const separator = pair.lastIndexOf(':');
+  const token = pair.slice(0, separator).trim();
+  const userId = pair.slice(separator + 1).trim();
+  if (separator <= 0 || !isValidUserId(userId)) {
+    logger.warn('[Auth] Ignoring malformed AUTH_TOKENS entry (expected token:userId)');
+    continue;
+  }
+  tokens.set(token, userId);
+}
+
+function isValidUserId(userId) {
+  return typeof userId === 'string' && USER_ID_PATTERN.test(userId);
+}
+
+// Token auth is enforced as soon as at least one token is configured
+function isAuthRequired() {
+  return tokens.size > 0;
+}
+
+/**
+ * Resolve the user of a request. Reads a bearer token from the Authorization header
+ * or the `token` query parameter (browsers cannot set headers on WebSocket or
+ * EventSource connections). Without configured tokens the client-supplied
+ * X-User-Id header or `userId` query parameter is trusted instead.
+ * @param {Object} req - Node/Express request (HTTP or WebSocket upgrade)
+ * @returns {string|null} User ID, or null when the request is not authenticated
+ */
+function authenticate(req) {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  if (isAuthRequired()) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : query.get('token');
+    return (token && tokens.get(token)) || null;
+  }
+  const userId = req.headers['x-user-id'] || query.get('userId');
+  if (userId === undefined || userId === null) return ANONYMOUS_USER;
+  return isValidUserId(userId) ? userId : null;
+}
+
+// Express middleware: sets req.userId or answers 401
+function requireUser(req, res, next) {
+  const userId = authenticate(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  req.userId = userId;
+  next();
+}
+
+module.exports = {
+  ANONYMOUS_USER,
+  isValidUserId,
+  isAuthRequired,
+  authenticate,
+  requireUser
+};
@@ -0,0 +1,72 @@
+/* backend/chatService.js */
+const { runPipeline } = require('./pipelines');
+const sessionStore = require('./sessionStore');
+const planStore = require('./planStore');
+const { getMemoryManager } = require('./memory/memory_manager');
+
+/**
+ * Run the pipeline for one conversation turn of a stored session.
+ * Turns on the same session are serialized across all connections and endpoints.
+ * @param {Object} input
+ * @param {string} input.message - User message
+ * @param {string} input.userId - Authenticated user; owns the session and its memory
+ * @param {string} [input.sessionId] - Session to continue; a new one is created when omitted or unknown
+ * @param {Array} [input.history] - Client-side history, only used to seed an empty session
+ * @param {string} [input.mode] - Pipeline mode (see pipelines.js); defaults to config.pipelineMode
+ * @param {Object} [hooks] - { onProgress, onDelta, signal } forwarded to runPipeline
+ * @returns {Promise<Object>} { finalResponse, reasoningLog, sources, sessionId, planId? }, where
+ *   sources are the pages the answer cites as [n] (empty when it cites none)
+ */
+async function runSessionTurn({ message, sessionId, userId, history = [], mode }, hooks = {}) {
+  const session = await sessionStore.getOrCreateSession(sessionId, userId);
+  const memory = await getMemoryManager(userId, session.id);
+  // The run's signal also fires when the session is deleted
+  return sessionStore.runExclusive(session.id, async signal => {
+    const seed = session.history.length === 0 ? history : [];
+    await sessionStore.appendTurns(session, ...seed, { role: 'user', text: message });
+    const { finalResponse, reasoningLog, planId, sources = [] } = await runPipeline(message, session.history, hooks.onProgress, {
+      onDelta: hooks.onDelta,
+      signal,
+      memory,
+      mode,
+      sessionId: session.id
+    });
+    // Sources are kept with the turn so reloaded conversations keep their citations
+    await sessionStore.appendTurns(session, { role: 'agent', text: finalResponse, ...(sources.length > 0 && { sources }) });
+    return { finalResponse, reasoningLog, sources, sessionId: session.id, planId };
+  }, hooks.signal);
+}
+
+/**
+ * Resume an interrupted planner run. When the plan belongs to a session, the
+ * answer is stored as the agent turn the interrupted run never wrote.
+ * @param {Object} input
+ * @param {string} input.planId - Plan to resume (see planStore.listInterruptedPlans)
+ * @param {string} input.userId - Authenticated user; must own the plan
+ * @param {Object} [hooks] - { onProgress, onDelta, signal } forwarded to the pipeline
+ * @returns {Promise<Object|null>} { finalResponse, reasoningLog, sources, sessionId, planId }, or null when the plan does not exist
+ */
+async function resumePlan({ planId, userId }, hooks = {}) {
+  const stored = await planStore.getPlan(planId, userId);
+  if (!stored) return null;
+
+  const run = async (session, signal) => {
+    const memory = await getMemoryManager(userId, session ? session.id : undefined);
+    const { finalResponse, reasoningLog, sources = [] } = await runPipeline(stored.query, [], hooks.onProgress, {
+      onDelta: hooks.onDelta,
+      signal,
+      memory,
+      mode: 'planner',
+      resumePlanId: planId
+    });
+    if (session) await sessionStore.appendTurns(session, { role: 'agent', text: finalResponse, ...(sources.length > 0 && { sources }) });
+    return { finalResponse, reasoningLog, sources, sessionId: session ? session.id : undefined, planId };
+  };
+
+  const session = stored.sessionId ? await sessionStore.getSession(stored.sessionId, userId) : null;
+  return session
+    ? sessionStore.runExclusive(session.id, signal => run(session, signal), hooks.signal)
+    : run(null, hooks.signal);
+}
+
+module.exports = { runSessionTurn, resumePlan };
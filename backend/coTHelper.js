@@ -9,8 +9,10 @@ const genAI = require('./aiClient');
  * @param {Array<{type:string,value:string}>} factsArray - list of fact objects
  * @param {string[]} steps - numbered CoT instruction steps (e.g. ["Find birth year", ...])
  * @param {string} jsonSchema - JSON schema instructions, e.g. '{"reasoning":[],"age":0}'
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the LLM call
  */
-async function runCoT(userMsg, factsArray, steps, jsonSchema) {
+async function runCoT(userMsg, factsArray, steps, jsonSchema, { signal } = {}) {
   const factList = factsArray.map(f => `${f.type}: ${f.value}`).join('\n');
   const stepList = steps.map((s,i) => `${i+1}. ${s}`).join('\n');
   const prompt = `You are a helpful assistant using chain-of-thought reasoning with rich common-sense and real-world reasoning.
@@ -23,8 +25,8 @@ ${stepList}
 
 Respond with valid JSON exactly in this format:
 ${jsonSchema}`;
-  const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-  const res = await model.generateContent(prompt);
+  const model = genAI.getGenerativeModel({ role: 'cot' });
+  const res = await model.generateContent(prompt, { signal });
   const text = await res.response.text();
   const match = text.match(/\{[\s\S]*\}/);
   if (!match) throw new Error('No JSON in CoT response');
@@ -27,49 +27,95 @@ const config = {
   environment: getConfig('NODE_ENV', 'development'),
   logLevel: getConfig('LOG_LEVEL', 'info'),
   
-  // API Keys with fallback mechanism
-  geminiApiKey: getConfig('GEMINI_API_KEY', '', true),
+  // Default pipeline mode: linear (chain-of-thought) or planner (see pipelines.js)
+  pipelineMode: getConfig('PIPELINE_MODE', 'linear'),
+  // Planner mode: how many independent plan tasks may run at once
+  planConcurrency: parseInt(getConfig('PLAN_CONCURRENCY', '3')),
+  
+  // LLM provider: gemini, openai (any OpenAI-compatible server) or mock (offline/tests)
+  llmProvider: getConfig('LLM_PROVIDER', 'gemini'),
+  llmTimeout: parseInt(getConfig('LLM_TIMEOUT', '60000')),
+  
+  // API Keys with fallback mechanism (Gemini key only required for the gemini provider)
+  geminiApiKey: getConfig('GEMINI_API_KEY', '', getConfig('LLM_PROVIDER', 'gemini') === 'gemini'),
   geminiApiKeyBackup: getConfig('GEMINI_API_KEY2', ''),
   
   // Model settings
   defaultModel: getConfig('DEFAULT_MODEL', 'gemma-3-27b-it'),
   fallbackModel: getConfig('FALLBACK_MODEL', 'gemini-1.5-flash'),
   
+  // Per-role model overrides (see modelRouter.js); empty means DEFAULT_MODEL
+  models: {
+    cot: getConfig('COT_MODEL', ''),
+    selection: getConfig('SELECTION_MODEL', ''),
+    summarization: getConfig('SUMMARIZATION_MODEL', ''),
+    verification: getConfig('VERIFICATION_MODEL', '')
+  },
+  
+  // OpenAI-compatible provider settings
+  openaiBaseUrl: getConfig('OPENAI_BASE_URL', 'https://api.openai.com/v1'),
+  openaiApiKey: getConfig('OPENAI_API_KEY', ''),
+  openaiModel: getConfig('OPENAI_MODEL', ''),
+  
+  // Mock provider settings: path to a JSON array of { match, response } rules
+  mockScriptPath: getConfig('MOCK_LLM_SCRIPT', ''),
+  
+  // Authentication: comma-separated token:userId pairs. When empty, clients
+  // identify themselves with an unverified userId (development mode)
+  authTokens: getConfig('AUTH_TOKENS', ''),
+  
   // Tool settings
   webSearchEnabled: getConfig('WEB_SEARCH_ENABLED', 'true') === 'true',
   searchTimeout: parseInt(getConfig('SEARCH_TIMEOUT', '15000')),
+  // Search providers tried in order (see searchProviders/); mock only works with NODE_ENV=test
+  searchProviders: getConfig('SEARCH_PROVIDERS', 'duckduckgo').split(',').map(name => name.trim()).filter(Boolean),
+  searxngUrl: getConfig('SEARXNG_URL', ''),
+  braveApiKey: getConfig('BRAVE_SEARCH_API_KEY', ''),
+  bingApiKey: getConfig('BING_SEARCH_API_KEY', ''),
+  bingEndpoint: getConfig('BING_SEARCH_ENDPOINT', 'https://api.bing.microsoft.com/v7.0/search'),
+  // Search ranking trust list: comma-separated domain:weight pairs (>1 boosts, <1 penalizes, 0 hides)
+  searchDomainWeights: getConfig('SEARCH_DOMAIN_WEIGHTS', ''),
+  // Search hits read after each web search, and how many pages are fetched at once
+  searchReadLimit: parseInt(getConfig('SEARCH_READ_LIMIT', '3')),
+  searchFetchConcurrency: parseInt(getConfig('SEARCH_FETCH_CONCURRENCY', '4')),
+  // READ_URL part size in characters, and how many parts the search reader reads per page
+  readUrlMaxChars: parseInt(getConfig('READ_URL_MAX_CHARS', '3000')),
+  searchReadChunks: parseInt(getConfig('SEARCH_READ_CHUNKS', '3')),
   
-  // Function to test API key validity
-  testApiKey: async function(apiKey) {
-    try {
-      const { GoogleGenerativeAI } = require("@google/generative-ai");
-      const genAI = new GoogleGenerativeAI(apiKey);
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-      const result = await model.generateContent("Test");
-      return result && result.response ? true : false;
-    } catch (error) {
-      console.error(`API key test failed: ${error.message}`);
-      return false;
-    }
-  },
+  // HTTP cache for the web tools: disk (data/http-cache), memory or off.
+  // TTLs are in seconds; sizes in bytes
+  httpCacheBackend: getConfig('HTTP_CACHE_BACKEND', 'disk'),
+  httpCacheTtl: parseInt(getConfig('HTTP_CACHE_TTL', '3600')),
+  searchCacheTtl: parseInt(getConfig('SEARCH_CACHE_TTL', '600')),
+  httpCacheMaxEntryBytes: parseInt(getConfig('HTTP_CACHE_MAX_ENTRY_BYTES', '2097152')),
+  httpCacheMaxBytes: parseInt(getConfig('HTTP_CACHE_MAX_BYTES', '104857600')),
   
-  // Get a working API key (primary or backup)
-  getWorkingApiKey: async function() {
-    // Try primary key first
-    if (await this.testApiKey(this.geminiApiKey)) {
-      return this.geminiApiKey;
-    }
-    
-    // Try backup key if available
-    if (this.geminiApiKeyBackup && await this.testApiKey(this.geminiApiKeyBackup)) {
-      console.log('Using backup API key');
-      return this.geminiApiKeyBackup;
-    }
-    
-    // No working keys found
-    console.error('No working API keys available!');
-    return null;
-  }
+  // URL policy for READ_URL (see urlPolicy.js). Domain lists are comma-separated and
+  // match subdomains; with an allow list, only those domains can be read.
+  urlAllowDomains: getConfig('URL_ALLOW_DOMAINS', '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean),
+  urlDenyDomains: getConfig('URL_DENY_DOMAINS', '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean),
+  // Lets READ_URL reach localhost and private networks, e.g. an intranet wiki
+  urlAllowPrivate: getConfig('URL_ALLOW_PRIVATE', 'false') === 'true',
+  urlMaxRedirects: parseInt(getConfig('URL_MAX_REDIRECTS', '5')),
+  urlMaxResponseBytes: parseInt(getConfig('URL_MAX_RESPONSE_BYTES', '10485760')),
+  
+  // Politeness of outbound requests (see httpClient.js and robots.js)
+  hostConcurrency: parseInt(getConfig('HOST_CONCURRENCY', '2')),
+  hostMinInterval: parseInt(getConfig('HOST_MIN_INTERVAL', '1000')),
+  httpMaxRetries: parseInt(getConfig('HTTP_MAX_RETRIES', '2')),
+  httpMaxRetryDelay: parseInt(getConfig('HTTP_MAX_RETRY_DELAY', '30000')),
+  respectRobotsTxt: getConfig('RESPECT_ROBOTS_TXT', 'true') === 'true',
+  robotsTtl: parseInt(getConfig('ROBOTS_TTL', '86400')),
+  // Optional GitHub token for READ_URL's GitHub API requests (higher rate limit, private repos)
+  githubToken: getConfig('GITHUB_TOKEN', ''),
+  
+  // Headless browser for pages that need JavaScript (see pageRenderer.js): off, playwright
+  // or puppeteer. READ_URL renders a page when its static HTML yields less text than renderMinChars.
+  browserRendering: getConfig('BROWSER_RENDERING', 'off'),
+  renderMinChars: parseInt(getConfig('RENDER_MIN_CHARS', '500')),
+  renderTimeout: parseInt(getConfig('RENDER_TIMEOUT', '20000')),
+  renderConcurrency: parseInt(getConfig('RENDER_CONCURRENCY', '2')),
+  renderIdleTimeout: parseInt(getConfig('RENDER_IDLE_TIMEOUT', '60000'))
 };
 
 module.exports = config; 
\ No newline at end of file
@@ -0,0 +1,222 @@
+/* backend/contentParsers.js */
+// Format detection and text extraction for READ_URL responses that are not HTML:
+// PDF, JSON, RSS/Atom feeds, Markdown and plain text
+const cheerio = require("cheerio");
+
+// Largest pretty-printed JSON returned as is; bigger documents get a structure outline first
+const MAX_PRETTY_JSON = 3000;
+// Structure summary limits for large JSON documents
+const SUMMARY_DEPTH = 3;
+const SUMMARY_KEYS = 20;
+const MAX_FEED_ITEMS = 20;
+
+/**
+ * Decide how to parse a response from its Content-Type, URL and first bytes.
+ * @param {string} contentType - Content-Type header (may be empty)
+ * @param {string} url - Requested URL
+ * @param {Buffer} data - Response body
+ * @returns {string} 'pdf', 'json', 'feed', 'markdown', 'text' or 'html'
+ */
+function detectFormat(contentType, url, data) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const head = data.slice(0, 512).toString('utf8').trimStart();
+  let pathname = '';
+  try { pathname = new URL(url).pathname.toLowerCase(); } catch (e) {}
+
+  if (type === 'application/pdf' || head.startsWith('%PDF')) return 'pdf';
+  if (type === 'application/json' || type.endsWith('+json') || pathname.endsWith('.json')) return 'json';
+  if (/(rss|atom)\+xml$/.test(type)) return 'feed';
+  if (/xml$/.test(type) || head.startsWith('<?xml')) {
+    return /<(rss|feed|rdf:RDF)[\s>]/i.test(head) ? 'feed' : 'html';
+  }
+  if (type === 'text/markdown' || type === 'text/x-markdown' || /\.(md|markdown)$/.test(pathname)) return 'markdown';
+  if (type === 'text/plain') return 'text';
+  if (!type && /^[[{]/.test(head)) return 'json';
+  return 'html';
+}
+
+/**
+ * Parse a page range such as "1-3,5" or "10-" (to the end).
+ * @param {string|number} spec - Page range; empty means every page
+ * @returns {Array|null} [[start, end]] with end Infinity for open ranges, or null when spec is invalid
+ */
+function parsePageRange(spec) {
+  if (spec === undefined || spec === null || String(spec).trim() === '') {
+    return [[1, Infinity]];
+  }
+  const ranges = [];
+  for (const part of String(spec).split(',')) {
+    const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+    if (!match) return null;
+    const start = parseInt(match[1], 10);
+    const end = match[2] === undefined ? start : (match[2] === '' ? Infinity : parseInt(match[2], 10));
+    if (start < 1 || end < start) return null;
+    ranges.push([start, end]);
+  }
+  return ranges;
+}
+
+// pdf-parse is optional and loaded on first use; null when it is not installed
+let pdfParse;
+function loadPdfParse() {
+  if (pdfParse === undefined) {
+    try {
+      // The package entry point runs a self-test when loaded directly; use the library file
+      pdfParse = require("pdf-parse/lib/pdf-parse.js");
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') throw error;
+      pdfParse = null;
+    }
+  }
+  return pdfParse;
+}
+
+// Same line joining as pdf-parse's default renderer
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += (lastY === item.transform[5] || lastY === undefined) ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * Extract the text of a PDF, optionally only some pages.
+ * @param {Buffer} data - PDF bytes
+ * @param {Object} [options] - { pages: "1-3,5" }
+ * @returns {Promise<Object>} { title, bodyText, pageCount, pages } or { error }
+ */
+async function parsePdf(data, { pages } = {}) {
+  if (!loadPdfParse()) {
+    return { error: 'PDF support is not installed; run "npm install pdf-parse" in the backend directory.' };
+  }
+  const ranges = parsePageRange(pages);
+  if (!ranges) {
+    return { error: `Invalid page range '${pages}'. Use page numbers and ranges such as "1-3,5".` };
+  }
+  const inRange = page => ranges.some(([start, end]) => page >= start && page <= end);
+  const lastPage = Math.max(...ranges.map(([, end]) => end));
+  const texts = [];
+  // pdf.js reads the underlying ArrayBuffer, so pooled Buffers (byteOffset > 0) need a copy
+  const parsed = await pdfParse(new Uint8Array(data), {
+    // Pages after the last requested one are not loaded at all
+    max: Number.isFinite(lastPage) ? lastPage : 0,
+    pagerender: async pageData => {
+      const page = pageData.pageIndex + 1;
+      if (inRange(page)) texts.push({ page, text: await renderPageText(pageData) });
+      return '';
+    }
+  });
+  if (texts.length === 0) {
+    return { error: `Page range '${pages}' is outside this ${parsed.numpages}-page PDF.` };
+  }
+  texts.sort((a, b) => a.page - b.page);
+  return {
+    title: (parsed.info && parsed.info.Title) || '',
+    bodyText: texts.map(({ page, text }) => `[Page ${page}]\n${text.trim()}`).join('\n\n'),
+    pageCount: parsed.numpages,
+    pages: texts.map(({ page }) => page)
+  };
+}
+
+// Indented outline of a JSON value: types, keys, array lengths and sample values
+function describeJson(value, indent = '', depth = 0) {
+  if (Array.isArray(value)) {
+    const lines = [`array[${value.length}]`];
+    if (value.length > 0 && depth < SUMMARY_DEPTH) {
+      lines.push(`${indent}  [0]: ${describeJson(value[0], `${indent}  `, depth + 1)}`);
+    }
+    return lines.join('\n');
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (depth >= SUMMARY_DEPTH) return `object with keys ${keys.slice(0, SUMMARY_KEYS).join(', ')}`;
+    const lines = [`object with ${keys.length} keys`];
+    for (const key of keys.slice(0, SUMMARY_KEYS)) {
+      lines.push(`${indent}  ${key}: ${describeJson(value[key], `${indent}  `, depth + 1)}`);
+    }
+    if (keys.length > SUMMARY_KEYS) lines.push(`${indent}  ... ${keys.length - SUMMARY_KEYS} more keys`);
+    return lines.join('\n');
+  }
+  const text = JSON.stringify(value);
+  return `${value === null ? 'null' : typeof value} ${text.length > 80 ? `${text.slice(0, 80)}...` : text}`;
+}
+
+/**
+ * Pretty-print a JSON document. Large documents start with an outline of their
+ * structure, followed by the whole pretty-printed text for READ_URL to page through.
+ * @param {string} text - JSON source
+ * @returns {Object} { title, bodyText, summarized } or { error }; summarized is true
+ *   when the outline was added
+ */
+function parseJson(text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+  const pretty = JSON.stringify(value, null, 2);
+  if (pretty.length <= MAX_PRETTY_JSON) {
+    return { title: '', bodyText: pretty, summarized: false };
+  }
+  return {
+    title: '',
+    bodyText: `JSON document (${pretty.length} characters), structure:\n${describeJson(value)}\n\nDocument:\n${pretty}`,
+    summarized: true
+  };
+}
+
+// Feed descriptions are often HTML
+function toPlainText(html) {
+  return cheerio.load(`<div>${html || ''}</div>`)('div').text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom feed into its items.
+ * @param {string} text - Feed XML
+ * @returns {Object} { title, bodyText, items: [{ title, link, date, summary }], feedType }
+ */
+function parseFeed(text) {
+  const $ = cheerio.load(text, { xmlMode: true });
+  const isAtom = $('feed').length > 0;
+  const items = [];
+  if (isAtom) {
+    $('feed > entry').slice(0, MAX_FEED_ITEMS).each((i, el) => {
+      const entry = $(el);
+      const link = entry.find('link[rel="alternate"]').attr('href') || entry.find('link').first().attr('href') || '';
+      items.push({
+        title: entry.children('title').text().trim(),
+        link,
+        date: entry.children('updated').text().trim() || entry.children('published').text().trim(),
+        summary: toPlainText(entry.children('summary').text() || entry.children('content').text())
+      });
+    });
+  } else {
+    $('item').slice(0, MAX_FEED_ITEMS).each((i, el) => {
+      const item = $(el);
+      items.push({
+        title: item.children('title').text().trim(),
+        link: item.children('link').text().trim(),
+        date: item.children('pubDate').text().trim() || item.children('dc\\:date').text().trim(),
+        summary: toPlainText(item.children('description').text())
+      });
+    });
+  }
+  const title = (isAtom ? $('feed > title') : $('channel > title')).first().text().trim();
+  const bodyText = items
+    .map((item, i) => `${i + 1}. ${item.title}${item.date ? ` (${item.date})` : ''}\n${item.link}${item.summary ? `\n${item.summary}` : ''}`)
+    .join('\n\n');
+  return { title, bodyText, items, feedType: isAtom ? 'atom' : 'rss' };
+}
+
+module.exports = {
+  detectFormat,
+  parsePageRange,
+  parsePdf,
+  parseJson,
+  parseFeed
+};
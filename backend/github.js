@@ -0,0 +1,399 @@
+/* backend/github.js */
+// GitHub links for READ_URL: profiles, repositories, issues, pull requests, files,
+// directories, releases and gists are read through the REST API and rendered as
+// Markdown. GITHUB_TOKEN raises the API rate limit from 60 to 5000 requests an hour.
+const { cachedGet, combineCacheStatus } = require('./httpCache');
+const config = require('./config');
+const logger = require('./logger');
+
+const API = 'https://api.github.com';
+const MAX_COMMENTS = 30;
+const MAX_PR_FILES = 50;
+const MAX_RELEASES = 10;
+const MAX_REPOSITORIES = 5;
+// Release notes in a list of releases are cut to this many characters
+const MAX_LISTED_NOTES = 600;
+
+// First path segments of github.com pages that are not users
+const RESERVED_NAMES = new Set([
+  'about', 'apps', 'collections', 'contact', 'customer-stories', 'enterprise', 'events', 'explore',
+  'features', 'login', 'marketplace', 'new', 'notifications', 'orgs', 'organizations', 'pricing',
+  'pulls', 'issues', 'search', 'security', 'settings', 'signup', 'site', 'sponsors', 'topics', 'trending'
+]);
+
+// File extension -> code fence language
+const LANGUAGES = {
+  c: 'c', h: 'c', cc: 'cpp', cpp: 'cpp', hpp: 'cpp', cs: 'csharp', css: 'css', dart: 'dart',
+  go: 'go', gradle: 'groovy', html: 'html', java: 'java', js: 'javascript', cjs: 'javascript',
+  mjs: 'javascript', jsx: 'jsx', json: 'json', kt: 'kotlin', lua: 'lua', m: 'objectivec',
+  php: 'php', pl: 'perl', ps1: 'powershell', py: 'python', r: 'r', rb: 'ruby', rs: 'rust',
+  scala: 'scala', scss: 'scss', sh: 'bash', bash: 'bash', zsh: 'bash', sql: 'sql', swift: 'swift',
+  toml: 'toml', ts: 'typescript', tsx: 'tsx', vue: 'vue', xml: 'xml', yml: 'yaml', yaml: 'yaml'
+};
+const FILE_LANGUAGES = { dockerfile: 'dockerfile', makefile: 'makefile' };
+// Characters GitHub allows in user, organization and repository names
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Rate limit reported by the last API response
+let rateLimit = null;
+
+/**
+ * Recognize a GitHub link.
+ * @param {string} url
+ * @returns {Object|null} { type, owner, repo, number, ref, path, tag, gistId }, where type is
+ *   'profile', 'repo', 'issue', 'pull', 'blob', 'tree', 'releases', 'release' or 'gist'
+ */
+function parseGitHubUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  let segments;
+  try {
+    segments = parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+  // Decoded dot segments (%2E%2E) would climb out of the API path they are put in
+  if (segments.some(segment => segment === '.' || segment === '..' || segment.includes('/'))) return null;
+  const host = parsed.hostname.toLowerCase();
+
+  if (host === 'gist.github.com') {
+    // gist.github.com/<user>/<id> or gist.github.com/<id>
+    const gistId = segments.length >= 2 ? segments[1] : segments[0];
+    return gistId && /^[0-9a-f]+$/i.test(gistId) ? { type: 'gist', gistId } : null;
+  }
+  if (host !== 'github.com' && host !== 'www.github.com') return null;
+
+  const [owner, repo, section, ...rest] = segments;
+  if (!owner || !NAME_PATTERN.test(owner) || RESERVED_NAMES.has(owner.toLowerCase())) return null;
+  if (!repo) return { type: 'profile', owner };
+  const base = { owner, repo: repo.replace(/\.git$/, '') };
+  if (!NAME_PATTERN.test(base.repo)) return null;
+  if (!section) return { type: 'repo', ...base };
+
+  switch (section) {
+    case 'issues':
+      return /^\d+$/.test(rest[0]) ? { type: 'issue', ...base, number: parseInt(rest[0], 10) } : null;
+    case 'pull':
+      return /^\d+$/.test(rest[0]) ? { type: 'pull', ...base, number: parseInt(rest[0], 10) } : null;
+    // Branch names with slashes cannot be told apart from the path; the first segment is the ref
+    case 'blob':
+      return rest.length >= 2 ? { type: 'blob', ...base, ref: rest[0], path: rest.slice(1).join('/') } : null;
+    case 'tree':
+      return rest.length >= 1 ? { type: 'tree', ...base, ref: rest[0], path: rest.slice(1).join('/') } : null;
+    case 'releases':
+      if (rest[0] === 'tag' && rest[1]) return { type: 'release', ...base, tag: rest.slice(1).join('/') };
+      if (rest[0] === 'latest') return { type: 'release', ...base, tag: null };
+      return rest.length === 0 ? { type: 'releases', ...base } : null;
+    default:
+      return null;
+  }
+}
+
+// Seconds until the rate limit resets, when it is used up
+function rateLimitedFor() {
+  if (!rateLimit || rateLimit.remaining > 0) return 0;
+  return Math.max(0, Math.ceil(rateLimit.reset - Date.now() / 1000));
+}
+
+function rememberRateLimit(headers) {
+  if (!headers || headers['x-ratelimit-remaining'] === undefined) return;
+  rateLimit = {
+    limit: parseInt(headers['x-ratelimit-limit'], 10),
+    remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+    reset: parseInt(headers['x-ratelimit-reset'], 10)
+  };
+  if (rateLimit.remaining < 10) {
+    logger.warn(`[GitHub] ${rateLimit.remaining} API requests left until ${new Date(rateLimit.reset * 1000).toISOString()}`);
+  }
+}
+
+function rateLimitError() {
+  const reset = new Date(rateLimit.reset * 1000).toISOString();
+  return new Error(`GitHub API rate limit exhausted until ${reset}${config.githubToken ? '' : '; set GITHUB_TOKEN for a higher limit'}`);
+}
+
+// GET an API path; a used-up rate limit fails without a request. raw returns file
+// contents as text instead of JSON.
+async function apiGet(path, { signal, raw = false } = {}) {
+  if (rateLimitedFor() > 0) throw rateLimitError();
+  const headers = {
+    'User-Agent': 'AI-Agent',
+    Accept: raw ? 'application/vnd.github.raw+json' : 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+  if (config.githubToken) headers.Authorization = `Bearer ${config.githubToken}`;
+  try {
+    const response = await cachedGet(`${API}${path}`, { headers, responseType: raw ? 'text' : 'json', timeout: 10000, signal });
+    rememberRateLimit(response.headers);
+    return response;
+  } catch (error) {
+    if (error.response) {
+      rememberRateLimit(error.response.headers);
+      if ([403, 429].includes(error.response.status) && rateLimitedFor() > 0) throw rateLimitError();
+      if (error.response.status === 404) throw new Error(`Not found on GitHub (${path}); it may be private or deleted`);
+    }
+    throw error;
+  }
+}
+
+// API path of a repository; every segment taken from a link is encoded
+function repoPath({ owner, repo }) {
+  return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+}
+
+function formatDate(value) {
+  return value ? value.slice(0, 10) : 'unknown date';
+}
+
+function languageOf(path) {
+  const name = path.split('/').pop().toLowerCase();
+  if (FILE_LANGUAGES[name]) return FILE_LANGUAGES[name];
+  const extension = name.includes('.') ? name.split('.').pop() : '';
+  return LANGUAGES[extension] || extension;
+}
+
+// Fenced code block; the fence is longer than any backtick run in the code
+function codeBlock(code, language) {
+  const longest = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${language}\n${code.replace(/\n$/, '')}\n${fence}`;
+}
+
+function renderComments(comments) {
+  if (comments.length === 0) return '';
+  return `\n\n## Comments (${comments.length})\n\n` + comments
+    .map(comment => `### @${comment.user.login} on ${formatDate(comment.created_at)}\n\n${(comment.body || '').trim()}`)
+    .join('\n\n');
+}
+
+async function readProfile({ owner }, signal) {
+  const [user, repos] = await Promise.all([
+    apiGet(`/users/${encodeURIComponent(owner)}`, { signal }),
+    apiGet(`/users/${encodeURIComponent(owner)}/repos?sort=updated&per_page=${MAX_REPOSITORIES}`, { signal })
+  ]);
+  const u = user.data;
+  const details = [
+    u.bio,
+    u.location && `**Location:** ${u.location}`,
+    u.company && `**Company:** ${u.company}`,
+    u.blog && `**Website:** ${u.blog}`,
+    `**Public repositories:** ${u.public_repos} · **Followers:** ${u.followers} · **Following:** ${u.following}`
+  ].filter(Boolean);
+  const repositories = repos.data.map(repo =>
+    `- [${repo.name}](${repo.html_url}): ${repo.description || 'No description provided'}\n` +
+    `  ${repo.language || 'Language not specified'} · ${repo.stargazers_count} stars · ${repo.forks_count} forks · updated ${formatDate(repo.updated_at)}`
+  );
+  return {
+    title: `GitHub profile: ${u.name || u.login} (@${u.login})`,
+    markdown: `# ${u.name || u.login} (@${u.login})\n\n${details.join('\n\n')}\n\n## Recently updated repositories\n\n${repositories.join('\n') || 'None'}`,
+    responses: [user, repos]
+  };
+}
+
+async function readRepo({ owner, repo }, signal) {
+  const info = await apiGet(repoPath({ owner, repo }), { signal });
+  const r = info.data;
+  let readme = null;
+  try {
+    readme = await apiGet(`${repoPath({ owner, repo })}/readme`, { signal, raw: true });
+  } catch (error) {
+    if (signal) signal.throwIfAborted();
+    // Repositories without a README still have their details
+  }
+  const facts = [
+    r.language && `**Language:** ${r.language}`,
+    `**Stars:** ${r.stargazers_count}`,
+    `**Forks:** ${r.forks_count}`,
+    `**Open issues:** ${r.open_issues_count}`,
+    r.license && `**License:** ${r.license.spdx_id || r.license.name}`,
+    `**Default branch:** ${r.default_branch}`,
+    `**Updated:** ${formatDate(r.pushed_at)}`
+  ].filter(Boolean);
+  const topics = r.topics && r.topics.length ? `\n\n**Topics:** ${r.topics.join(', ')}` : '';
+  return {
+    title: `${r.full_name}${r.description ? `: ${r.description}` : ''}`,
+    markdown: `# ${r.full_name}\n\n${r.description || ''}\n\n${facts.join(' · ')}${topics}` +
+      (readme ? `\n\n## README\n\n${String(readme.data)}` : '\n\nThis repository has no README.'),
+    responses: readme ? [info, readme] : [info]
+  };
+}
+
+async function readIssue({ owner, repo, number }, signal) {
+  const [issue, comments] = await Promise.all([
+    apiGet(`${repoPath({ owner, repo })}/issues/${number}`, { signal }),
+    apiGet(`${repoPath({ owner, repo })}/issues/${number}/comments?per_page=${MAX_COMMENTS}`, { signal })
+  ]);
+  const i = issue.data;
+  const labels = i.labels.map(label => (typeof label === 'string' ? label : label.name));
+  const header = [
+    `**State:** ${i.state}${i.state_reason ? ` (${i.state_reason})` : ''}`,
+    `**Author:** @${i.user.login}`,
+    `**Opened:** ${formatDate(i.created_at)}`,
+    i.closed_at && `**Closed:** ${formatDate(i.closed_at)}`,
+    labels.length && `**Labels:** ${labels.join(', ')}`,
+    i.assignees && i.assignees.length && `**Assignees:** ${i.assignees.map(a => `@${a.login}`).join(', ')}`
+  ].filter(Boolean);
+  const more = i.comments > comments.data.length ? `\n\n(${i.comments - comments.data.length} more comments not shown)` : '';
+  return {
+    title: `${i.title} · Issue #${number} · ${owner}/${repo}`,
+    markdown: `# ${i.title} (#${number})\n\n${header.join(' · ')}\n\n${(i.body || 'No description provided.').trim()}` +
+      renderComments(comments.data) + more,
+    responses: [issue, comments]
+  };
+}
+
+async function readPull({ owner, repo, number }, signal) {
+  const [pull, comments, files] = await Promise.all([
+    apiGet(`${repoPath({ owner, repo })}/pulls/${number}`, { signal }),
+    apiGet(`${repoPath({ owner, repo })}/issues/${number}/comments?per_page=${MAX_COMMENTS}`, { signal }),
+    apiGet(`${repoPath({ owner, repo })}/pulls/${number}/files?per_page=${MAX_PR_FILES}`, { signal })
+  ]);
+  const p = pull.data;
+  const state = p.merged_at ? 'merged' : p.draft ? `${p.state} (draft)` : p.state;
+  const header = [
+    `**State:** ${state}`,
+    `**Author:** @${p.user.login}`,
+    `**Opened:** ${formatDate(p.created_at)}`,
+    p.merged_at && `**Merged:** ${formatDate(p.merged_at)}`,
+    `**Branches:** ${p.head.label} → ${p.base.label}`,
+    `**Changes:** ${p.commits} commits, ${p.changed_files} files, +${p.additions} −${p.deletions}`
+  ].filter(Boolean);
+  const fileList = files.data.map(file => `- \`${file.filename}\` (${file.status}, +${file.additions} −${file.deletions})`).join('\n');
+  const moreFiles = p.changed_files > files.data.length ? `\n- ... ${p.changed_files - files.data.length} more files` : '';
+  return {
+    title: `${p.title} · Pull request #${number} · ${owner}/${repo}`,
+    markdown: `# ${p.title} (#${number})\n\n${header.join(' · ')}\n\n${(p.body || 'No description provided.').trim()}` +
+      `\n\n## Changed files\n\n${fileList || 'None'}${moreFiles}` + renderComments(comments.data),
+    responses: [pull, comments, files]
+  };
+}
+
+function contentsPath({ owner, repo, ref, path }) {
+  const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+  return `${repoPath({ owner, repo })}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`;
+}
+
+async function readBlob(link, signal) {
+  const file = await apiGet(contentsPath(link), { signal, raw: true });
+  const content = String(file.data);
+  if (content.includes('\u0000')) {
+    throw new Error(`${link.path} is a binary file`);
+  }
+  const language = languageOf(link.path);
+  const heading = `# ${link.path}\n\n${link.owner}/${link.repo} at \`${link.ref}\``;
+  return {
+    title: `${link.path} · ${link.owner}/${link.repo}`,
+    // Markdown files are returned as Markdown, everything else as a code block
+    markdown: language === 'md' || language === 'markdown'
+      ? `${heading}\n\n${content}`
+      : `${heading}\n\n${codeBlock(content, language)}`,
+    responses: [file]
+  };
+}
+
+async function readTree(link, signal) {
+  const listing = await apiGet(contentsPath(link), { signal });
+  if (!Array.isArray(listing.data)) {
+    // tree/ links to a file; show it as a file
+    return readBlob(link, signal);
+  }
+  const entries = [...listing.data].sort((a, b) => (a.type === 'dir') === (b.type === 'dir') ? a.name.localeCompare(b.name) : a.type === 'dir' ? -1 : 1);
+  const lines = entries.map(entry => entry.type === 'dir'
+    ? `- [${entry.name}/](${entry.html_url})`
+    : `- [${entry.name}](${entry.html_url}) (${entry.size} bytes)`);
+  const where = link.path || '/';
+  return {
+    title: `${where} · ${link.owner}/${link.repo}`,
+    markdown: `# ${link.owner}/${link.repo}: ${where}\n\nAt \`${link.ref}\`, ${entries.length} entries:\n\n${lines.join('\n')}`,
+    responses: [listing]
+  };
+}
+
+function renderRelease(release, notesLimit) {
+  const notes = (release.body || 'No release notes.').trim();
+  const assets = (release.assets || []).map(asset => `- [${asset.name}](${asset.browser_download_url}) (${asset.size} bytes, ${asset.download_count} downloads)`);
+  const flags = [release.prerelease && 'pre-release', release.draft && 'draft'].filter(Boolean);
+  return `## ${release.name || release.tag_name}\n\n` +
+    `**Tag:** \`${release.tag_name}\` · **Published:** ${formatDate(release.published_at)} · **Author:** @${release.author.login}${flags.length ? ` · ${flags.join(', ')}` : ''}\n\n` +
+    (notesLimit && notes.length > notesLimit ? `${notes.slice(0, notesLimit)}...` : notes) +
+    (assets.length ? `\n\n**Assets:**\n${assets.join('\n')}` : '');
+}
+
+async function readReleases({ owner, repo }, signal) {
+  const releases = await apiGet(`${repoPath({ owner, repo })}/releases?per_page=${MAX_RELEASES}`, { signal });
+  return {
+    title: `Releases · ${owner}/${repo}`,
+    markdown: `# Releases of ${owner}/${repo}\n\n` +
+      (releases.data.map(release => renderRelease(release, MAX_LISTED_NOTES)).join('\n\n') || 'No releases.'),
+    responses: [releases]
+  };
+}
+
+async function readRelease({ owner, repo, tag }, signal) {
+  const path = tag === null ? 'latest' : `tags/${encodeURIComponent(tag)}`;
+  const release = await apiGet(`${repoPath({ owner, repo })}/releases/${path}`, { signal });
+  return {
+    title: `${release.data.name || release.data.tag_name} · ${owner}/${repo}`,
+    markdown: `# ${owner}/${repo} release\n\n${renderRelease(release.data)}`,
+    responses: [release]
+  };
+}
+
+async function readGist({ gistId }, signal) {
+  const gist = await apiGet(`/gists/${encodeURIComponent(gistId)}`, { signal });
+  const g = gist.data;
+  const files = Object.values(g.files).map(file => {
+    const language = file.language ? file.language.toLowerCase() : languageOf(file.filename);
+    const truncated = file.truncated ? `\n\n(Truncated; the full file is at ${file.raw_url})` : '';
+    return `## ${file.filename}\n\n${codeBlock(file.content || '', language)}${truncated}`;
+  });
+  return {
+    title: `${g.description || Object.keys(g.files)[0]} · gist by @${g.owner ? g.owner.login : 'anonymous'}`,
+    markdown: `# ${g.description || 'Gist'}\n\n**Author:** @${g.owner ? g.owner.login : 'anonymous'} · **Created:** ${formatDate(g.created_at)} · **Updated:** ${formatDate(g.updated_at)}\n\n${files.join('\n\n')}`,
+    responses: [gist]
+  };
+}
+
+// Link types as named in notes
+const LABELS = {
+  profile: 'profile', repo: 'repository', issue: 'issue', pull: 'pull request', blob: 'file',
+  tree: 'directory', releases: 'releases', release: 'release', gist: 'gist'
+};
+
+const READERS = {
+  profile: readProfile,
+  repo: readRepo,
+  issue: readIssue,
+  pull: readPull,
+  blob: readBlob,
+  tree: readTree,
+  releases: readReleases,
+  release: readRelease,
+  gist: readGist
+};
+
+/**
+ * Read a GitHub link (see parseGitHubUrl) through the REST API.
+ * @param {Object} link - From parseGitHubUrl
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} { title, markdown, notes, cache, rateLimit }; API failures are thrown
+ */
+async function readGitHub(link, { signal } = {}) {
+  const { title, markdown, responses } = await READERS[link.type](link, signal);
+  return {
+    title,
+    markdown,
+    notes: `Read the GitHub ${LABELS[link.type]} through the GitHub API.`,
+    cache: combineCacheStatus(responses.map(response => response.cache)),
+    rateLimit
+  };
+}
+
+module.exports = {
+  parseGitHubUrl,
+  readGitHub
+};
@@ -0,0 +1,257 @@
+/* backend/htmlExtractor.js */
+// Main-content extraction for READ_URL. Candidate containers are scored the way
+// Readability does it (paragraph text, commas, class names, link density), and the
+// winner is rendered as Markdown so headings, lists, tables, code and links survive.
+const cheerio = require("cheerio");
+
+// Never content
+const REMOVED_TAGS = 'script, style, noscript, iframe, svg, canvas, template, form, button, input, select, textarea, nav, aside, footer, dialog';
+// class/id of page chrome: banners, cookie notices, share bars, comments...
+const UNLIKELY = /banner|breadcrumb|combx|comment|community|consent|cookie|disqus|footer|gdpr|legends|menu|modal|newsletter|overlay|popup|promo|related|remark|replies|share|shoutbox|sidebar|skip|skyscraper|social|sponsor|subscribe|toolbar|advert|ad-break|agegate|pagination|pager/i;
+// ...unless they also look like content
+const MAYBE_CONTENT = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|h-entry|hentry|main|page|post|text|blog|story/i;
+const NEGATIVE = /hidden|banner|combx|comment|contact|cookie|consent|foot|footnote|masthead|media|meta|modal|outbrain|popup|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|subscribe|tags|tool|widget/i;
+const BLOCK_TAGS = 'address, article, aside, blockquote, dl, div, figure, footer, h1, h2, h3, h4, h5, h6, header, hr, main, ol, p, pre, section, table, ul';
+// Rendered as blocks of their children
+const CONTAINER_TAGS = new Set(['address', 'article', 'body', 'center', 'details', 'div', 'dl', 'dd', 'dt', 'figcaption', 'figure', 'header', 'html', 'main', 'section', 'summary']);
+// Shorter extractions fall back to the whole cleaned body
+const MIN_CONTENT_CHARS = 250;
+
+// Placeholders that survive whitespace normalization
+const INDENT = '\u0001';
+const PROTECTED = '\u0002';
+
+function classAndId(el) {
+  return `${(el.attribs && el.attribs.class) || ''} ${(el.attribs && el.attribs.id) || ''}`;
+}
+
+function classWeight(el) {
+  const names = classAndId(el);
+  let weight = 0;
+  if (NEGATIVE.test(names)) weight -= 25;
+  if (POSITIVE.test(names)) weight += 25;
+  return weight;
+}
+
+function baseScore(el) {
+  switch (el.name) {
+    case 'div': return 5;
+    case 'pre': case 'td': case 'blockquote': return 3;
+    case 'address': case 'ol': case 'ul': case 'dl': case 'dd': case 'dt': case 'li': case 'form': return -3;
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': case 'th': return -5;
+    default: return 0;
+  }
+}
+
+function textOf($, el) {
+  return $(el).text().replace(/\s+/g, ' ').trim();
+}
+
+// Share of an element's text that sits inside links
+function linkDensity($, el) {
+  const length = textOf($, el).length;
+  if (length === 0) return 0;
+  let linkLength = 0;
+  $(el).find('a').each((i, a) => { linkLength += textOf($, a).length; });
+  return linkLength / length;
+}
+
+// Drop page chrome before scoring
+function removeClutter($) {
+  $(REMOVED_TAGS).remove();
+  $('*').each((i, el) => {
+    if (['html', 'body', 'article', 'main'].includes(el.name)) return;
+    const names = classAndId(el);
+    const hidden = /display:\s*none|visibility:\s*hidden/i.test((el.attribs && el.attribs.style) || '')
+      || (el.attribs && (el.attribs.hidden !== undefined || el.attribs['aria-hidden'] === 'true'));
+    if (hidden || (UNLIKELY.test(names) && !MAYBE_CONTENT.test(names))) $(el).remove();
+  });
+}
+
+// Best-scoring container, plus its siblings that look like part of the same content
+function findContentNodes($) {
+  const scores = new Map();
+  const addScore = (el, score) => {
+    if (!el || el.type !== 'tag') return;
+    if (!scores.has(el)) scores.set(el, baseScore(el) + classWeight(el));
+    scores.set(el, scores.get(el) + score);
+  };
+  $('p, pre, td, blockquote, div').each((i, el) => {
+    // Divs only count when they hold text directly, like a paragraph
+    if (el.name === 'div' && $(el).children(BLOCK_TAGS).length > 0) return;
+    const text = textOf($, el);
+    if (text.length < 25) return;
+    const score = 1 + text.split(/[,，]/).length - 1 + Math.min(Math.floor(text.length / 100), 3);
+    addScore(el.parent, score);
+    if (el.parent) addScore(el.parent.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, el));
+    scores.set(el, adjusted);
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+  if (!best) return null;
+  if (!best.parent) return [best];
+
+  const threshold = Math.max(10, bestScore * 0.2);
+  return $(best.parent).children().toArray().filter(sibling => {
+    if (sibling === best) return true;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+    if (sibling.name !== 'p') return false;
+    const text = textOf($, sibling);
+    const density = linkDensity($, sibling);
+    return (text.length > 80 && density < 0.25) || (density === 0 && /\.( |$)/.test(text));
+  });
+}
+
+function absoluteUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return href;
+  }
+}
+
+// Collapse whitespace into Markdown lines and paragraphs
+function normalize(text) {
+  return text
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function block(content) {
+  const trimmed = normalize(content);
+  return trimmed ? `\n\n${trimmed}\n\n` : '';
+}
+
+// Render a node as Markdown; code blocks are stored in ctx.protected so whitespace survives
+function render($, node, ctx) {
+  if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+  if (node.type !== 'tag') return '';
+  const inner = () => node.children.map(child => render($, child, ctx)).join('');
+
+  switch (node.name) {
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+      const text = normalize(inner()).replace(/\n+/g, ' ');
+      return text ? block(`${'#'.repeat(parseInt(node.name[1], 10))} ${text}`) : '';
+    }
+    case 'p':
+      return block(inner());
+    case 'br':
+      return '\n';
+    case 'hr':
+      return block('---');
+    case 'blockquote':
+      return block(normalize(inner()).split('\n').map(line => `> ${line}`).join('\n'));
+    case 'ul':
+    case 'ol':
+      return block(renderList($, node, ctx));
+    case 'pre': {
+      const codeEl = $(node).find('code').get(0);
+      const language = ((codeEl && codeEl.attribs.class) || node.attribs.class || '').match(/(?:lang|language)-([\w+#-]+)/);
+      const code = $(node).text().replace(/^\n+|\s+$/g, '');
+      ctx.protected.push(`\`\`\`${language ? language[1] : ''}\n${code}\n\`\`\``);
+      return `\n\n${PROTECTED}${ctx.protected.length - 1}${PROTECTED}\n\n`;
+    }
+    case 'code': {
+      const code = $(node).text();
+      return code ? `\`${code.replace(/`/g, "'")}\`` : '';
+    }
+    case 'table':
+      // Layout tables (holding other tables or paragraphs) are containers, not data
+      if ($(node).find('table, p, div').length > 0) return block(inner());
+      return block(renderTable($, node, ctx));
+    case 'a': {
+      const text = normalize(inner()).replace(/\n+/g, ' ');
+      const href = node.attribs.href;
+      if (!text) return '';
+      if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+      return `[${text}](${absoluteUrl(href, ctx.baseUrl)})`;
+    }
+    case 'strong':
+    case 'b': {
+      const text = inner().trim();
+      return text ? `**${text}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const text = inner().trim();
+      return text ? `*${text}*` : '';
+    }
+    case 'img': {
+      const alt = (node.attribs.alt || '').trim();
+      return alt && node.attribs.src ? `![${alt}](${absoluteUrl(node.attribs.src, ctx.baseUrl)})` : '';
+    }
+    default:
+      return CONTAINER_TAGS.has(node.name) ? block(inner()) : inner();
+  }
+}
+
+function renderList($, node, ctx) {
+  return node.children
+    .filter(child => child.name === 'li')
+    .map((li, i) => {
+      const marker = node.name === 'ol' ? `${i + 1}. ` : '- ';
+      const body = normalize(li.children.map(child => render($, child, ctx)).join(''));
+      // Continuation lines (nested lists, paragraphs) are indented under the marker
+      return marker + body.split('\n').map((line, j) => (j === 0 || !line ? line : INDENT.repeat(marker.length) + line)).join('\n');
+    })
+    .join('\n');
+}
+
+function renderTable($, node, ctx) {
+  const rows = $(node).find('tr').toArray().map(tr =>
+    $(tr).children('th, td').toArray().map(cell =>
+      normalize(cell.children.map(child => render($, child, ctx)).join('')).replace(/\n+/g, ' ').replace(/\|/g, '\\|')
+    )
+  ).filter(cells => cells.length > 0);
+  if (rows.length === 0) return '';
+  const columns = Math.max(...rows.map(cells => cells.length));
+  const line = cells => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+  const [header, ...body] = rows;
+  return [line(header), line(Array(columns).fill('---')), ...body.map(line)].join('\n');
+}
+
+function toMarkdown($, nodes, baseUrl) {
+  const ctx = { baseUrl, protected: [] };
+  const markdown = normalize(nodes.map(node => render($, node, ctx)).join('\n\n'));
+  return markdown
+    .replace(new RegExp(`${PROTECTED}(\\d+)${PROTECTED}`, 'g'), (_, i) => ctx.protected[i])
+    .replace(new RegExp(INDENT, 'g'), ' ');
+}
+
+/**
+ * Extract the main content of an HTML page as Markdown.
+ * @param {string} html - Page source
+ * @param {string} [baseUrl] - Page URL, to make links absolute
+ * @returns {Object} { title, markdown }
+ */
+function extractContent(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const title = ($('meta[property="og:title"]').attr('content')
+    || $('title').first().text()
+    || $('h1').first().text()
+    || '').replace(/\s+/g, ' ').trim();
+
+  removeClutter($);
+  const body = $('body').get(0) || $.root().get(0);
+  const nodes = findContentNodes($);
+  let markdown = nodes ? toMarkdown($, nodes, baseUrl) : '';
+  if (markdown.length < MIN_CONTENT_CHARS) {
+    markdown = toMarkdown($, body.children || [], baseUrl);
+  }
+  return { title, markdown };
+}
+
+module.exports = {
+  extractContent
+};
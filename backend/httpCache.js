@@ -0,0 +1,273 @@
+/* backend/httpCache.js */
+// HTTP GET cache in front of the web tools (READ_URL, WEB_SEARCH). Fresh entries are
+// served without a request; expired ones are revalidated with ETag / Last-Modified.
+// Requests go out through the shared httpClient.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const httpClient = require('./httpClient');
+
+// One JSON file per cached response (disk backend)
+const CACHE_DIR = path.join(__dirname, 'data/http-cache');
+// Response headers kept with an entry
+const STORED_HEADERS = ['content-type', 'etag', 'last-modified'];
+
+// In-process LRU; Map iteration order doubles as recency order
+class MemoryBackend {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.totalBytes = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    await this.delete(key);
+    this.entries.set(key, entry);
+    this.totalBytes += entry.size;
+    for (const [oldKey, old] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.entries.delete(oldKey);
+      this.totalBytes -= old.size;
+    }
+  }
+
+  async delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+  }
+}
+
+// Files under data/http-cache, evicted least recently used first; survives restarts
+class DiskBackend {
+  constructor(dir, maxBytes) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    // key -> { size, accessedAt }
+    this.index = new Map();
+    this.totalBytes = 0;
+    this.ready = this.load().catch(error => {
+      logger.error(`[HttpCache] Failed to load ${dir}: ${error.message}`);
+    });
+  }
+
+  async load() {
+    await fs.mkdir(this.dir, { recursive: true });
+    for (const file of await fs.readdir(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      const stat = await fs.stat(path.join(this.dir, file));
+      this.index.set(file.slice(0, -'.json'.length), { size: stat.size, accessedAt: stat.mtimeMs });
+      this.totalBytes += stat.size;
+    }
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    await this.ready;
+    const indexed = this.index.get(key);
+    if (!indexed) return null;
+    try {
+      const entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      indexed.accessedAt = Date.now();
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`[HttpCache] Error reading entry ${key}: ${error.message}`);
+      }
+      await this.delete(key);
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    await this.ready;
+    const filePath = this.filePath(key);
+    const tmpPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    const body = JSON.stringify(entry);
+    await fs.writeFile(tmpPath, body);
+    await fs.rename(tmpPath, filePath);
+    const previous = this.index.get(key);
+    if (previous) this.totalBytes -= previous.size;
+    const size = Buffer.byteLength(body);
+    this.index.set(key, { size, accessedAt: Date.now() });
+    this.totalBytes += size;
+    await this.evict();
+  }
+
+  async delete(key) {
+    const indexed = this.index.get(key);
+    if (!indexed) return;
+    this.index.delete(key);
+    this.totalBytes -= indexed.size;
+    await fs.unlink(this.filePath(key)).catch(() => {});
+  }
+
+  async evict() {
+    if (this.totalBytes <= this.maxBytes) return;
+    const byAge = [...this.index.entries()].sort((a, b) => a[1].accessedAt - b[1].accessedAt);
+    for (const [key] of byAge) {
+      if (this.totalBytes <= this.maxBytes) break;
+      await this.delete(key);
+    }
+  }
+}
+
+function createBackend() {
+  switch (config.httpCacheBackend) {
+    case 'disk':
+      return new DiskBackend(CACHE_DIR, config.httpCacheMaxBytes);
+    case 'memory':
+      return new MemoryBackend(config.httpCacheMaxBytes);
+    case 'off':
+      return null;
+    default:
+      logger.warn(`[HttpCache] Unknown HTTP_CACHE_BACKEND '${config.httpCacheBackend}', using disk`);
+      return new DiskBackend(CACHE_DIR, config.httpCacheMaxBytes);
+  }
+}
+
+const backend = createBackend();
+
+// Responses differ by URL, by how the body is decoded and by the requested format
+function cacheKey(url, options) {
+  const accept = (options.headers && (options.headers.Accept || options.headers.accept)) || '';
+  return crypto
+    .createHash('sha256')
+    .update(`${url}\n${options.responseType || ''}\n${accept}`)
+    .digest('hex');
+}
+
+function encodeBody(data) {
+  if (Buffer.isBuffer(data)) return { encoding: 'base64', body: data.toString('base64') };
+  if (typeof data === 'string') return { encoding: 'text', body: data };
+  return { encoding: 'json', body: data };
+}
+
+function decodeBody(entry) {
+  return entry.encoding === 'base64' ? Buffer.from(entry.body, 'base64') : entry.body;
+}
+
+// Seconds a response stays fresh: Cache-Control max-age when given, else the caller's TTL
+function freshnessOf(headers, ttl) {
+  const cacheControl = headers['cache-control'] || '';
+  if (/no-store/i.test(cacheControl)) return null;
+  const maxAge = cacheControl.match(/max-age=(\d+)/i);
+  return maxAge ? Math.min(parseInt(maxAge[1]), ttl) : ttl;
+}
+
+function toResponse(entry, cache) {
+  return { status: entry.status, headers: entry.headers, data: decodeBody(entry), cache };
+}
+
+/**
+ * GET a URL through the cache.
+ * @param {string} url
+ * @param {Object} [options] - axios request options (headers, responseType, timeout, signal)
+ * @param {Object} [cacheOptions]
+ * @param {number} [cacheOptions.ttl] - seconds a response stays fresh (default config.httpCacheTtl)
+ * @param {Function} [cacheOptions.cacheable] - (response) => false to keep a response out of the cache
+ * @param {Function} [cacheOptions.retryOn] - (response) => true to retry a response (see httpClient.get)
+ * @param {Function} [cacheOptions.checkHeaders] - (headers) => throws to refuse a response before
+ *   its body is downloaded (see httpClient.get); refused responses are not cached
+ * @returns {Promise<Object>} { status, headers, data, cache, throttle }, where cache is
+ *   'hit', 'revalidated' (304 from the server), 'stale' (server unreachable), 'miss' or 'bypass',
+ *   and throttle is { waitedMs, retries } for requests that went to the network
+ */
+async function cachedGet(url, options = {}, { ttl = config.httpCacheTtl, cacheable, retryOn, checkHeaders } = {}) {
+  if (!backend) {
+    const response = await httpClient.get(url, options, { retryOn, checkHeaders });
+    return { status: response.status, headers: response.headers, data: response.data, cache: 'bypass', throttle: response.throttle };
+  }
+
+  const key = cacheKey(url, options);
+  const entry = await backend.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return toResponse(entry, 'hit');
+  }
+
+  // Expired entries are revalidated when the server gave us a validator
+  const headers = { ...options.headers };
+  if (entry && entry.headers.etag) headers['If-None-Match'] = entry.headers.etag;
+  if (entry && entry.headers['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+
+  let response;
+  try {
+    response = await httpClient.get(url, {
+      ...options,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(entry))
+    }, { retryOn, checkHeaders });
+  } catch (error) {
+    if (options.signal) options.signal.throwIfAborted();
+    if (entry && !error.response) {
+      logger.warn(`[HttpCache] Serving stale ${url}: ${error.message}`);
+      return toResponse(entry, 'stale');
+    }
+    throw error;
+  }
+
+  if (response.status === 304) {
+    const refreshed = { ...entry, expiresAt: Date.now() + (freshnessOf(response.headers, ttl) ?? 0) * 1000 };
+    await backend.set(key, refreshed).catch(error => {
+      logger.error(`[HttpCache] Error storing ${url}: ${error.message}`);
+    });
+    return { ...toResponse(refreshed, 'revalidated'), throttle: response.throttle };
+  }
+
+  const freshFor = freshnessOf(response.headers, ttl);
+  const { encoding, body } = encodeBody(response.data);
+  const size = typeof body === 'string' ? Buffer.byteLength(body) : Buffer.byteLength(JSON.stringify(body));
+  const storable = response.status === 200
+    && freshFor !== null
+    && size <= config.httpCacheMaxEntryBytes
+    && (!cacheable || cacheable(response));
+  if (storable) {
+    const stored = {
+      url,
+      status: response.status,
+      headers: Object.fromEntries(STORED_HEADERS.filter(name => response.headers[name]).map(name => [name, String(response.headers[name])])),
+      encoding,
+      body,
+      size,
+      storedAt: Date.now(),
+      expiresAt: Date.now() + freshFor * 1000
+    };
+    await backend.set(key, stored).catch(error => {
+      logger.error(`[HttpCache] Error storing ${url}: ${error.message}`);
+    });
+  } else if (entry) {
+    await backend.delete(key);
+  }
+  return { status: response.status, headers: response.headers, data: response.data, cache: 'miss', throttle: response.throttle };
+}
+
+/**
+ * Combine the cache status of the requests behind one tool result: 'hit' only when
+ * no request went to the network.
+ * @param {Array<string>} statuses
+ * @returns {string}
+ */
+function combineCacheStatus(statuses) {
+  if (statuses.length === 0) return 'bypass';
+  if (statuses.every(status => status === 'hit')) return 'hit';
+  return statuses.find(status => status !== 'hit');
+}
+
+module.exports = {
+  cachedGet,
+  combineCacheStatus
+};
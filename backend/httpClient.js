@@ -0,0 +1,214 @@
+/* backend/httpClient.js */
+// Outbound HTTP client shared by the web tools. Requests are queued per host, so a
+// host gets at most config.hostConcurrency requests at once, started at least
+// config.hostMinInterval ms apart, and 429/503 responses are retried with backoff
+// (Retry-After when the server sends one).
+const axios = require('axios');
+const config = require('./config');
+const logger = require('./logger');
+
+const RETRY_STATUSES = [429, 503];
+// First backoff when the server gives no Retry-After; doubled on every retry
+const BASE_RETRY_DELAY = 1000;
+// Shorter waits are not worth a reasoning log entry
+const MIN_REPORTED_WAIT = 100;
+
+// Resolves after ms, or rejects when signal aborts
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Request slots for one host. A released slot is handed to the next waiter directly,
+// so a newcomer can never overtake the queue.
+class HostLimiter {
+  constructor(concurrency, interval) {
+    this.concurrency = concurrency;
+    this.interval = interval;
+    this.active = 0;
+    this.waiting = [];
+    // Earliest start of the next request; pushed back by Retry-After
+    this.nextStart = 0;
+  }
+
+  async acquire(signal) {
+    if (this.active < this.concurrency) {
+      this.active++;
+    } else {
+      await new Promise((resolve, reject) => {
+        const waiter = { resolve };
+        this.waiting.push(waiter);
+        if (signal) {
+          signal.addEventListener('abort', () => {
+            const index = this.waiting.indexOf(waiter);
+            if (index === -1) return;
+            this.waiting.splice(index, 1);
+            reject(signal.reason);
+          }, { once: true });
+        }
+      });
+    }
+    const start = Math.max(Date.now(), this.nextStart);
+    this.nextStart = start + this.interval;
+    try {
+      await delay(start - Date.now(), signal);
+    } catch (error) {
+      this.release();
+      throw error;
+    }
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) next.resolve();
+    else this.active--;
+  }
+
+  // Hold every request to this host back for ms
+  pause(ms) {
+    this.nextStart = Math.max(this.nextStart, Date.now() + ms);
+  }
+}
+
+const limiters = new Map();
+
+function limiterFor(url) {
+  const host = new URL(url).host;
+  if (!limiters.has(host)) {
+    limiters.set(host, new HostLimiter(config.hostConcurrency, config.hostMinInterval));
+  }
+  return limiters.get(host);
+}
+
+// Retry-After as milliseconds (delta-seconds or an HTTP date), or null
+function retryAfterMs(headers) {
+  const value = headers && headers['retry-after'];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Read a streamed response body into a Buffer, capped like axios' maxContentLength
+function readBody(stream, maxContentLength) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (maxContentLength > -1 && size > maxContentLength) {
+        stream.destroy();
+        reject(new Error(`maxContentLength size of ${maxContentLength} exceeded`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+    stream.on('aborted', () => reject(new Error('The response was aborted')));
+  });
+}
+
+// Drop a streamed response without reading it. axios may wrap the socket's stream
+// (e.g. to enforce maxContentLength), so the request is destroyed too.
+function discard(response) {
+  if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
+  if (response.request && typeof response.request.destroy === 'function') response.request.destroy();
+}
+
+// GET with axios; with checkHeaders the body is only downloaded once the headers passed
+async function send(url, options, checkHeaders) {
+  if (!checkHeaders) return axios.get(url, options);
+  let response;
+  try {
+    response = await axios.get(url, { ...options, responseType: 'stream' });
+  } catch (error) {
+    if (error.response) discard(error.response);
+    throw error;
+  }
+  try {
+    checkHeaders(response.headers);
+    response.data = await readBody(response.data, options.maxContentLength ?? -1);
+  } catch (error) {
+    discard(response);
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * GET a URL politely: queued behind other requests to the same host and retried on
+ * 429/503. Failures are thrown as axios errors, with the same throttle field.
+ * @param {string} url
+ * @param {Object} [options] - axios request options (headers, responseType, timeout, signal...)
+ * @param {Object} [clientOptions]
+ * @param {Function} [clientOptions.retryOn] - (response) => true to retry a successful
+ *   response too, e.g. a search engine's "unusual traffic" page
+ * @param {Function} [clientOptions.checkHeaders] - (headers) => throws to refuse a successful
+ *   response before its body is downloaded; the body is then returned as a Buffer
+ * @returns {Promise<Object>} axios response, plus throttle: { waitedMs, retries }, the
+ *   time spent waiting for the host and the number of retries
+ */
+async function get(url, options = {}, { retryOn, checkHeaders } = {}) {
+  const limiter = limiterFor(url);
+  const startedAt = Date.now();
+  let requestMs = 0;
+  for (let retries = 0; ; retries++) {
+    await limiter.acquire(options.signal);
+    const sentAt = Date.now();
+    let response;
+    let failure;
+    try {
+      response = await send(url, options, checkHeaders);
+    } catch (error) {
+      failure = error;
+      response = error.response;
+    } finally {
+      requestMs += Date.now() - sentAt;
+      limiter.release();
+    }
+
+    const retryable = response && (RETRY_STATUSES.includes(response.status) || (!failure && retryOn && retryOn(response)));
+    const wait = retryable ? (retryAfterMs(response.headers) ?? BASE_RETRY_DELAY * 2 ** retries) : 0;
+    // Out of retries, or a Retry-After not worth waiting for: report the outcome as is
+    if (!retryable || retries >= config.httpMaxRetries || wait > config.httpMaxRetryDelay) {
+      const throttle = { waitedMs: Date.now() - startedAt - requestMs, retries };
+      if (failure) {
+        failure.throttle = throttle;
+        throw failure;
+      }
+      response.throttle = throttle;
+      return response;
+    }
+    logger.warn(`[HttpClient] Throttled by ${new URL(url).host} (${response.status}), retrying in ${wait} ms`);
+    limiter.pause(wait);
+  }
+}
+
+/**
+ * Describe a response's throttle field for the reasoning log.
+ * @param {Object} [throttle] - { waitedMs, retries }
+ * @returns {string|null} null when the request was not held back
+ */
+function describeThrottle(throttle) {
+  if (!throttle || (throttle.retries === 0 && throttle.waitedMs < MIN_REPORTED_WAIT)) return null;
+  const parts = [`waited ${(throttle.waitedMs / 1000).toFixed(1)} s for the host`];
+  if (throttle.retries > 0) parts.push(`retried ${throttle.retries} time${throttle.retries === 1 ? '' : 's'} after being rate limited`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  get,
+  describeThrottle
+};
@@ -19,32 +19,55 @@ const loggerInstance = createLogger({
 // Path to store memory files
 const MEMORY_DIR = path.join(__dirname, '../data/memory');
 
+// Initialize file-based memory storage
+const ready = fs.mkdir(MEMORY_DIR, { recursive: true })
+  .then(() => loggerInstance.info('Memory system initialized'))
+  .catch(error => loggerInstance.error('Failed to initialize memory system:', error));
+
+// General knowledge is not about any user, so every scope shares it
+const generalKnowledge = [];
+// userId -> profile facts loaded from the user's memory file, shared by all of that user's sessions
+const userProfiles = new Map();
+// userId -> tail of the promise chain serializing writes to the user's memory file
+const userWrites = new Map();
+// "userId/sessionId" -> { manager, lastUsed }, least recently used first
+const scopes = new Map();
+// Session scopes kept at most; the least recently used are dropped beyond this
+const MAX_SCOPES = 1000;
+// Session scopes unused for this long are dropped (ms)
+const SCOPE_IDLE_TTL = 6 * 60 * 60 * 1000;
+
+// Replace the fact of the same type, or add it
+function upsertFact(facts, fact) {
+  const existingIndex = facts.findIndex(f => f.type === fact.type);
+  if (existingIndex >= 0) {
+    facts[existingIndex] = fact;
+  } else {
+    facts.push(fact);
+  }
+}
+
 /**
  * Memory Manager class for hierarchical fact management
- * Stores and retrieves facts about users across different memory layers
+ * Stores and retrieves facts about one user across different memory layers.
+ * Use getMemoryManager() to obtain the scope for a user and session.
  */
 class MemoryManager {
-  constructor() {
+  /**
+   * @param {string} userId - Owner of the user profile layer
+   * @param {Array} userProfileMemory - The user's profile facts (shared between their scopes)
+   */
+  constructor(userId, userProfileMemory = []) {
+    this.userId = userId;
+    
     // In-memory storage for current session
     this.sessionMemory = [];
     
-    // Persistent memory for user-specific info
-    this.userProfileMemory = [];
+    // Persistent memory for user-specific info, backed by the user's memory file
+    this.userProfileMemory = userProfileMemory;
     
     // Persistent memory for general knowledge
-    this.generalKnowledge = [];
-    
-    // Initialize file-based memory storage
-    this.initialize();
-  }
-  
-  async initialize() {
-    try {
-      await fs.mkdir(MEMORY_DIR, { recursive: true });
-      loggerInstance.info('Memory system initialized');
-    } catch (error) {
-      loggerInstance.error('Failed to initialize memory system:', error);
-    }
+    this.generalKnowledge = generalKnowledge;
   }
   
   /**
@@ -66,32 +89,16 @@ class MemoryManager {
       };
       
       if (persistence === 'user') {
-        const existingIndex = this.userProfileMemory.findIndex(f => f.type === fact.type);
-        
-        if (existingIndex >= 0) {
-          this.userProfileMemory[existingIndex] = enrichedFact;
-        } else {
-          this.userProfileMemory.push(enrichedFact);
-        }
+        upsertFact(this.userProfileMemory, enrichedFact);
+        // Write through to the user's memory file (errors are logged there)
+        this.writeUserMemory(this.userId, fact.type, fact.value);
         loggerInstance.info(`Stored fact in user profile: ${fact.type}=${fact.value}`);
       } else if (persistence === 'general') {
-        const existingIndex = this.generalKnowledge.findIndex(f => f.type === fact.type);
-        
-        if (existingIndex >= 0) {
-          this.generalKnowledge[existingIndex] = enrichedFact;
-        } else {
-          this.generalKnowledge.push(enrichedFact);
-        }
+        upsertFact(this.generalKnowledge, enrichedFact);
         loggerInstance.info(`Stored fact in general knowledge: ${fact.type}=${fact.value}`);
       } else {
         // Default to session memory
-        const existingIndex = this.sessionMemory.findIndex(f => f.type === fact.type);
-        
-        if (existingIndex >= 0) {
-          this.sessionMemory[existingIndex] = enrichedFact;
-        } else {
-          this.sessionMemory.push(enrichedFact);
-        }
+        upsertFact(this.sessionMemory, enrichedFact);
         loggerInstance.info(`Stored fact in session memory: ${fact.type}=${fact.value}`);
       }
       return true;
@@ -140,9 +147,10 @@ class MemoryManager {
    * Retrieve facts that are relevant to the given query
    * @param {string} query - The user query
    * @param {Object} genAI - Gemini API object for processing  
+   * @param {Object} [options] - { signal } to cancel the LLM call
    * @returns {Array} Relevant facts
    */
-  async getRelevantFacts(query, genAI) {
+  async getRelevantFacts(query, genAI, { signal } = {}) {
     try {
       const allFacts = this.getAllFacts();
       
@@ -157,7 +165,7 @@ class MemoryManager {
       }
       
       // Use LLM to determine relevance
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+      const model = genAI.getGenerativeModel({ role: "selection" });
       
       const prompt = `
 You are helping an AI assistant retrieve relevant facts from its memory.
@@ -172,7 +180,7 @@ Format your response as a JSON array of numbers, e.g., [0, 2, 5]
 If no facts are relevant, return an empty array: []
 `;
 
-      const result = await model.generateContent(prompt);
+      const result = await model.generateContent(prompt, { signal });
       const text = await result.response.text();
       
       // Extract JSON array from response
@@ -205,11 +213,12 @@ If no facts are relevant, return an empty array: []
    * Check if memory has an answer for a query
    * @param {string} query - The query to check
    * @param {Object} genAI - Gemini API object
+   * @param {Object} [options] - { signal } to cancel the LLM calls
    * @returns {Object} Result with found status and answer if found
    */
-  async checkMemoryForAnswer(query, genAI) {
+  async checkMemoryForAnswer(query, genAI, { signal } = {}) {
     try {
-      const relevantFacts = await this.getRelevantFacts(query, genAI);
+      const relevantFacts = await this.getRelevantFacts(query, genAI, { signal });
       
       if (relevantFacts.length === 0) {
         return { found: false };
@@ -224,7 +233,7 @@ If no facts are relevant, return an empty array: []
         return { found: false };
       }
       
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+      const model = genAI.getGenerativeModel({ role: "verification" });
       
       const prompt = `
 You are helping an AI assistant determine if it can answer a query using facts from its memory.
@@ -248,7 +257,7 @@ Respond with a JSON object:
 }
 `;
 
-      const result = await model.generateContent(prompt);
+      const result = await model.generateContent(prompt, { signal });
       const text = await result.response.text();
       
       // Extract JSON from response
@@ -315,7 +324,7 @@ Respond with a JSON object:
         return null;
       }
       
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+      const model = genAI.getGenerativeModel({ role: "verification" });
       
       const memoryData = JSON.stringify(userMemory);
       const prompt = `
@@ -355,31 +364,48 @@ Be concise and only use information from the memory data. Do not make up facts.
    * @returns {boolean} Success indicator
    */
   async storeUserMemory(userId, key, value) {
-    try {
-      const userMemory = await this.getUserMemory(userId);
-      userMemory[key] = {
-        value,
-        timestamp: Date.now()
-      };
-      
-      await fs.writeFile(
-        this.getUserMemoryPath(userId),
-        JSON.stringify(userMemory, null, 2)
-      );
-      
-      loggerInstance.info(`Stored memory for user ${userId}: ${key}`);
-      
-      // Also store as a fact in memory
-      this.storeFact({ 
-        type: key, 
-        value: value 
-      }, 'user');
-      
-      return true;
-    } catch (error) {
-      loggerInstance.error(`Error storing memory for user ${userId}:`, error);
-      return false;
+    const stored = await this.writeUserMemory(userId, key, value);
+    if (stored) {
+      // Also store as a fact in the user's loaded profile
+      const profile = userProfiles.get(userId);
+      if (profile) {
+        upsertFact(profile, { type: key, value, timestamp: Date.now() });
+      }
     }
+    return stored;
+  }
+  
+  /**
+   * Update one key of a user's memory file. Writes for the same user are
+   * chained so concurrent updates never overwrite each other.
+   * @param {string} userId - User identifier
+   * @param {string} key - Memory key
+   * @param {any} value - Memory value
+   * @returns {Promise<boolean>} Success indicator
+   */
+  writeUserMemory(userId, key, value) {
+    const previous = userWrites.get(userId) || ready;
+    const write = previous.then(async () => {
+      try {
+        const userMemory = await this.getUserMemory(userId);
+        userMemory[key] = {
+          value,
+          timestamp: Date.now()
+        };
+        
+        const memoryPath = this.getUserMemoryPath(userId);
+        await fs.writeFile(`${memoryPath}.tmp`, JSON.stringify(userMemory, null, 2));
+        await fs.rename(`${memoryPath}.tmp`, memoryPath);
+        
+        loggerInstance.info(`Stored memory for user ${userId}: ${key}`);
+        return true;
+      } catch (error) {
+        loggerInstance.error(`Error storing memory for user ${userId}:`, error);
+        return false;
+      }
+    });
+    userWrites.set(userId, write);
+    return write;
   }
   
   /**
@@ -456,5 +482,59 @@ Be concise and only use information from the memory data. Do not make up facts.
   }
 }
 
-// Export a singleton instance
-module.exports = new MemoryManager(); 
\ No newline at end of file
+/**
+ * Get the memory scope for a user's session. Session facts are private to the
+ * session; profile facts are loaded from the user's memory file and shared by
+ * all of that user's sessions.
+ * @param {string} userId - User identifier
+ * @param {string} [sessionId] - Session identifier; without one a fresh, uncached scope is returned
+ * @returns {Promise<MemoryManager>} Memory scope
+ */
+async function getMemoryManager(userId, sessionId) {
+  const scopeKey = sessionId ? `${userId}/${sessionId}` : null;
+  if (scopeKey && scopes.has(scopeKey)) return touchScope(scopeKey, scopes.get(scopeKey).manager);
+  
+  if (!userProfiles.has(userId)) {
+    const userMemory = await new MemoryManager(userId).getUserMemory(userId);
+    // Another caller may have loaded it while we were reading
+    if (!userProfiles.has(userId)) {
+      userProfiles.set(userId, Object.entries(userMemory).map(([type, entry]) => ({
+        type,
+        value: entry.value,
+        timestamp: entry.timestamp
+      })));
+    }
+  }
+  
+  const manager = new MemoryManager(userId, userProfiles.get(userId));
+  if (!scopeKey) return manager;
+  return touchScope(scopeKey, scopes.has(scopeKey) ? scopes.get(scopeKey).manager : manager);
+}
+
+// Mark a scope as just used and drop idle and excess scopes. Session facts are
+// not persisted, so a dropped session starts over with only the profile facts.
+function touchScope(scopeKey, manager) {
+  const now = Date.now();
+  scopes.delete(scopeKey);
+  scopes.set(scopeKey, { manager, lastUsed: now });
+  for (const [key, scope] of scopes) {
+    if (scopes.size <= MAX_SCOPES && now - scope.lastUsed < SCOPE_IDLE_TTL) break;
+    scopes.delete(key);
+  }
+  return manager;
+}
+
+/**
+ * Drop the cached session memory of a session (e.g. when the session is deleted).
+ * @param {string} userId - User identifier
+ * @param {string} sessionId - Session identifier
+ */
+function releaseSession(userId, sessionId) {
+  scopes.delete(`${userId}/${sessionId}`);
+}
+
+module.exports = {
+  MemoryManager,
+  getMemoryManager,
+  releaseSession
+}; 
\ No newline at end of file
@@ -0,0 +1,190 @@
+/* backend/modelRouter.js */
+const config = require('./config');
+const genAI = require('./aiClient');
+const logger = require('./logger');
+
+// Roles a model can be configured for
+const ROLES = ['cot', 'selection', 'summarization', 'verification'];
+
+/**
+ * Candidate models for a role, in the order they should be tried.
+ * @param {string} role - One of ROLES (unknown roles use the default model)
+ * @param {string} [pinnedModel] - Explicit model that overrides the role mapping
+ * @returns {string[]} Primary model followed by the fallback model
+ */
+function resolveModels(role, pinnedModel) {
+  const primary = pinnedModel || config.models[role] || config.defaultModel;
+  return [...new Set([primary, config.fallbackModel].filter(Boolean))];
+}
+
+// Extract an HTTP-like status code from SDK or axios errors
+function getErrorStatus(error) {
+  if (error.status) return error.status;
+  if (error.response && error.response.status) return error.response.status;
+  const match = (error.message || '').match(/\[(\d{3})[^\]]*\]/);
+  return match ? parseInt(match[1]) : null;
+}
+
+// Quota exhaustion and server-side failures are worth retrying on another model
+function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  return /quota|RESOURCE_EXHAUSTED|rate limit|overloaded|UNAVAILABLE/i.test(error.message || '');
+}
+
+// Errors that mean the API key itself is unusable
+function isAuthError(error) {
+  const status = getErrorStatus(error);
+  if (status === 401 || status === 403) return true;
+  return /API key not valid|API_KEY_INVALID|PERMISSION_DENIED/i.test(error.message || '');
+}
+
+// Gemini API key -> time it last failed at key level; a failed key is not switched
+// back to until KEY_COOLDOWN_MS have passed
+const failedKeys = new Map();
+const KEY_COOLDOWN_MS = 10 * 60 * 1000;
+
+// Whether a key failed within the cooldown
+function inCooldown(apiKey) {
+  return Date.now() - (failedKeys.get(apiKey) || 0) < KEY_COOLDOWN_MS;
+}
+
+/**
+ * Switch between the primary and backup Gemini API keys after a key-level failure.
+ * No test requests are made; the other key is used unless it failed recently itself.
+ * Concurrent calls can fail on a key another call has already rotated away from;
+ * they retry on the active key instead of marking it failed.
+ * @param {string} failedKey - Key the failed call was made with
+ * @returns {boolean} True when the call should be retried on the (now) active key
+ */
+function rotateApiKey(failedKey) {
+  if (config.llmProvider !== 'gemini' || !config.geminiApiKeyBackup) return false;
+  failedKeys.set(failedKey, Date.now());
+  const current = genAI.apiKey;
+  if (current !== failedKey) return !inCooldown(current);
+  const other = [config.geminiApiKey, config.geminiApiKeyBackup].find(key => key && key !== current);
+  if (!other || inCooldown(other)) return false;
+  genAI.useApiKey(other);
+  logger.warn(`[ModelRouter] Rotated to the ${other === config.geminiApiKey ? 'primary' : 'backup'} Gemini API key`);
+  return true;
+}
+
+/**
+ * Generate text for a role, failing over to the fallback model on quota/5xx errors
+ * and rotating the API key once if every model failed on a key-level error.
+ * @param {string} role - One of ROLES
+ * @param {string} prompt - Prompt text
+ * @param {Object} [options]
+ * @param {string} [options.model] - Pinned model overriding the role mapping
+ * @param {AbortSignal} [options.signal] - Aborts the request; aborted calls never fail over
+ * @returns {Promise<string>} Generated text
+ */
+async function generate(role, prompt, options = {}) {
+  const { signal } = options;
+  const models = resolveModels(role, options.model);
+  let rotated = false;
+
+  while (true) {
+    let lastError;
+    // The key (and its provider) this attempt uses, whatever concurrent calls rotate to meanwhile
+    const { apiKey, provider } = genAI;
+    for (const model of models) {
+      try {
+        return await provider.generateContent(model, prompt, { signal });
+      } catch (error) {
+        lastError = error;
+        if (signal && signal.aborted) throw error;
+        if (isAuthError(error)) break;
+        if (!isRetryableError(error)) throw error;
+        logger.warn(`[ModelRouter] ${model} failed for role '${role}': ${error.message}`);
+      }
+    }
+
+    const keyLevelFailure = isAuthError(lastError) || isRetryableError(lastError);
+    if (!rotated && keyLevelFailure && rotateApiKey(apiKey)) {
+      rotated = true;
+      continue;
+    }
+    throw lastError;
+  }
+}
+
+/**
+ * Stream text for a role with the same failover rules as generate(). Switching
+ * models is only possible until the first chunk has been yielded to the caller.
+ * @param {string} role - One of ROLES
+ * @param {string} prompt - Prompt text
+ * @param {Object} [options]
+ * @param {string} [options.model] - Pinned model overriding the role mapping
+ * @param {AbortSignal} [options.signal] - Aborts the stream
+ * @returns {AsyncGenerator<string>} Text deltas
+ */
+async function* generateStream(role, prompt, options = {}) {
+  const { signal } = options;
+  const models = resolveModels(role, options.model);
+  let rotated = false;
+
+  while (true) {
+    let lastError;
+    const { apiKey, provider } = genAI;
+    for (const model of models) {
+      let emitted = false;
+      try {
+        for await (const delta of provider.generateContentStream(model, prompt, { signal })) {
+          emitted = true;
+          yield delta;
+        }
+        return;
+      } catch (error) {
+        lastError = error;
+        if (emitted || (signal && signal.aborted)) throw error;
+        if (isAuthError(error)) break;
+        if (!isRetryableError(error)) throw error;
+        logger.warn(`[ModelRouter] ${model} stream failed for role '${role}': ${error.message}`);
+      }
+    }
+
+    const keyLevelFailure = isAuthError(lastError) || isRetryableError(lastError);
+    if (!rotated && keyLevelFailure && rotateApiKey(apiKey)) {
+      rotated = true;
+      continue;
+    }
+    throw lastError;
+  }
+}
+
+/**
+ * Gemini SDK-shaped model object for a role.
+ * @param {string} role - One of ROLES
+ * @param {string} [pinnedModel] - Explicit model that overrides the role mapping
+ * @returns {Object} Model with generateContent(prompt) and generateContentStream(prompt)
+ */
+function getModel(role, pinnedModel) {
+  return {
+    // requestOptions mirrors the SDK's SingleRequestOptions: { signal }
+    async generateContent(prompt, requestOptions = {}) {
+      const text = await generate(role, prompt, { model: pinnedModel, signal: requestOptions.signal });
+      return { response: { text: () => text } };
+    },
+    // Like the SDK, resolves to { stream } whose chunks expose text()
+    async generateContentStream(prompt, requestOptions = {}) {
+      const deltas = generateStream(role, prompt, { model: pinnedModel, signal: requestOptions.signal });
+      const stream = (async function* () {
+        for await (const delta of deltas) {
+          yield { text: () => delta };
+        }
+      })();
+      return { stream };
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  resolveModels,
+  generate,
+  generateStream,
+  getModel,
+  isRetryableError,
+  isAuthError
+};
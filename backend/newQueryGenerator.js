@@ -6,14 +6,15 @@ const genAI = require("./aiClient");
  * @param {object} toolHistory
  * @param {Array} reasoningLog
  * @param {number} attempt
+ * @param {Object} [options] - { signal } to abort the LLM call
  */
-module.exports = async function newQueryGenerator(userMsg, toolHistory, reasoningLog, attempt) {
+module.exports = async function newQueryGenerator(userMsg, toolHistory, reasoningLog, attempt, { signal } = {}) {
   try {
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
+    const model = genAI.getGenerativeModel({ role: "selection" });
     const prompt = `The user asked: "${userMsg}" but the search results were insufficient.
 Tools used: ${JSON.stringify(toolHistory)}.
 What refined keyword or phrase should I try next? Output only the phrase.`;
-    const res = await model.generateContent(prompt);
+    const res = await model.generateContent(prompt, { signal });
     const text = await res.response.text();
     return text.trim().split("\n")[0];
   } catch (err) {
@@ -0,0 +1,193 @@
+/* backend/pageRenderer.js */
+// Headless Chromium rendering for READ_URL, for pages that only build their content
+// with JavaScript. The browser library is optional: config.browserRendering names it
+// (playwright or puppeteer) and it is loaded on first use. One browser is shared by
+// all renders and closed again after config.renderIdleTimeout ms without use.
+// The browser connects only through the policy proxy, which checks every address it
+// connects to, so pages reach private networks neither directly nor by DNS rebinding.
+const { checkUrl } = require('./urlPolicy');
+const { startPolicyProxy } = require('./policyProxy');
+const config = require('./config');
+const logger = require('./logger');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; AI-Agent/1.0)';
+// Not needed for the text of a page
+const SKIPPED_RESOURCES = new Set(['image', 'media', 'font']);
+// How long the network must be quiet before the page counts as rendered
+const NETWORK_IDLE_MS = 500;
+
+// Chromium flags that send all traffic, loopback included, through the proxy and keep
+// WebRTC from opening its own connections
+function browserArgs(proxyUrl) {
+  return [
+    `--proxy-server=${proxyUrl}`,
+    '--proxy-bypass-list=<-loopback>',
+    '--force-webrtc-ip-handling-policy=disable_non_proxied_udp'
+  ];
+}
+
+// Early refusal of requests the policy would fail anyway (protocols, domain lists);
+// the address check itself is the proxy's
+async function allowRequest(url) {
+  if (!/^https?:/i.test(url)) return /^(data|blob|about):/i.test(url);
+  return (await checkUrl(url)) === null;
+}
+
+const BACKENDS = {
+  playwright: {
+    async launch(proxyUrl) {
+      const { chromium } = require('playwright');
+      return chromium.launch({ headless: true, args: browserArgs(proxyUrl) });
+    },
+    async render(browser, url, { timeout, signal }) {
+      const context = await browser.newContext({ userAgent: USER_AGENT });
+      const close = () => context.close().catch(() => {});
+      signal && signal.addEventListener('abort', close, { once: true });
+      try {
+        const page = await context.newPage();
+        await page.route('**/*', async route => {
+          const request = route.request();
+          const allowed = !SKIPPED_RESOURCES.has(request.resourceType()) && await allowRequest(request.url());
+          return allowed ? route.continue() : route.abort();
+        });
+        // WebSockets bypass page.route; page text never needs them. Older Playwright
+        // (before 1.48) has no routeWebSocket and leaves them to the proxy.
+        if (typeof page.routeWebSocket === 'function') await page.routeWebSocket(/.*/, ws => ws.close());
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+        // Pages that keep polling never go idle; take what has rendered by then
+        await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+        return { html: await page.content(), finalUrl: page.url() };
+      } finally {
+        signal && signal.removeEventListener('abort', close);
+        await close();
+      }
+    }
+  },
+  puppeteer: {
+    async launch(proxyUrl) {
+      const puppeteer = require('puppeteer');
+      return puppeteer.launch({ headless: true, args: browserArgs(proxyUrl) });
+    },
+    async render(browser, url, { timeout, signal }) {
+      const page = await browser.newPage();
+      const close = () => page.close().catch(() => {});
+      signal && signal.addEventListener('abort', close, { once: true });
+      try {
+        await page.setUserAgent(USER_AGENT);
+        // WebSockets bypass request interception; page text never needs them
+        const cdp = await page.createCDPSession();
+        await cdp.send('Network.enable');
+        await cdp.send('Network.setBlockedURLs', { urls: ['ws://*', 'wss://*'] });
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+          if (SKIPPED_RESOURCES.has(request.resourceType())) return request.abort();
+          allowRequest(request.url()).then(allowed => (allowed ? request.continue() : request.abort()), () => request.abort());
+        });
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+        await page.waitForNetworkIdle({ idleTime: NETWORK_IDLE_MS, timeout }).catch(() => {});
+        return { html: await page.content(), finalUrl: page.url() };
+      } finally {
+        signal && signal.removeEventListener('abort', close);
+        await close();
+      }
+    }
+  }
+};
+
+let browserPromise = null;
+let idleTimer = null;
+let activeRenders = 0;
+const waiting = [];
+// Set when the browser library is missing or fails to launch
+let unavailable = false;
+
+function backend() {
+  return BACKENDS[config.browserRendering] || null;
+}
+
+/**
+ * Whether READ_URL can escalate to a headless browser.
+ * @returns {boolean}
+ */
+function isRenderingEnabled() {
+  return Boolean(backend()) && !unavailable;
+}
+
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = startPolicyProxy().then(proxyUrl => backend().launch(proxyUrl)).then(browser => {
+      // A crashed browser is launched again on the next render
+      browser.on('disconnected', () => { browserPromise = null; });
+      return browser;
+    }, error => {
+      unavailable = true;
+      browserPromise = null;
+      logger.error(`[PageRenderer] Cannot start ${config.browserRendering}, rendering disabled: ${error.message}`);
+      throw error;
+    });
+  }
+  return browserPromise;
+}
+
+function scheduleIdleClose() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(async () => {
+    if (activeRenders > 0 || !browserPromise) return;
+    const closing = browserPromise;
+    browserPromise = null;
+    const browser = await closing.catch(() => null);
+    if (browser) await browser.close().catch(() => {});
+  }, config.renderIdleTimeout);
+  // An idle browser must not keep the process alive
+  idleTimer.unref();
+}
+
+// At most config.renderConcurrency pages are open at once
+async function acquireSlot(signal) {
+  if (activeRenders < config.renderConcurrency) {
+    activeRenders++;
+    return;
+  }
+  await new Promise((resolve, reject) => {
+    waiting.push(resolve);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        const index = waiting.indexOf(resolve);
+        if (index === -1) return;
+        waiting.splice(index, 1);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) next();
+  else activeRenders--;
+}
+
+/**
+ * Load a page in headless Chromium, wait for the network to go idle and return the
+ * rendered DOM.
+ * @param {string} url
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} { html, finalUrl }; failures are thrown
+ */
+async function renderPage(url, { signal } = {}) {
+  await acquireSlot(signal);
+  try {
+    const browser = await getBrowser();
+    const rendered = await backend().render(browser, url, { timeout: config.renderTimeout, signal });
+    if (signal) signal.throwIfAborted();
+    return { html: rendered.html.slice(0, config.urlMaxResponseBytes), finalUrl: rendered.finalUrl };
+  } finally {
+    releaseSlot();
+    scheduleIdleClose();
+  }
+}
+
+module.exports = {
+  isRenderingEnabled,
+  renderPage
+};
@@ -0,0 +1,40 @@
+/* backend/pipelines.js */
+// Pipeline modes a chat request can run in, selected per request or by PIPELINE_MODE
+const config = require('./config');
+
+// Loaded on first use, so the list of modes can be read without loading the pipelines
+const PIPELINES = {
+  // Linear chain-of-thought pipeline with an iterative tool loop
+  linear: () => require('./reasoningPipeline'),
+  // Decomposed plan executed task by task (reasoning/meta_reasoning.js)
+  planner: () => require('./plannerPipeline')
+};
+
+const PIPELINE_MODES = Object.keys(PIPELINES);
+
+function isValidMode(mode) {
+  return PIPELINE_MODES.includes(mode);
+}
+
+/**
+ * Run the pipeline of the requested mode. Every mode shares the contract of
+ * reasoningPipeline.js: (userMsg, history, onProgress, options) -> { finalResponse, reasoningLog }.
+ * @param {string} userMsg
+ * @param {Array} history - conversation history as [{role, text}, ...]
+ * @param {Function} [onProgress] - called with each reasoning log entry
+ * @param {Object} [options] - forwarded to the pipeline; options.mode overrides config.pipelineMode
+ * @returns {Promise<Object>} { finalResponse, reasoningLog, sources? }
+ */
+async function runPipeline(userMsg, history, onProgress, options = {}) {
+  const mode = options.mode || config.pipelineMode;
+  if (!isValidMode(mode)) {
+    throw new Error(`Unknown pipeline mode '${mode}', expected one of: ${PIPELINE_MODES.join(', ')}`);
+  }
+  return PIPELINES[mode]()(userMsg, history, onProgress, options);
+}
+
+module.exports = {
+  PIPELINE_MODES,
+  isValidMode,
+  runPipeline
+};
@@ -0,0 +1,169 @@
+/* backend/planStore.js */
+// File-backed store of planner runs, so an interrupted plan can be resumed from its last checkpoint
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+// One JSON file per plan
+const PLANS_DIR = path.join(__dirname, 'data/plans');
+// Plan IDs are UUIDs; they double as file names
+const PLAN_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Plans currently executing in this process; any other stored plan was interrupted
+const activePlans = new Set();
+// planId -> tail of the promise chain serializing file writes
+const writes = new Map();
+
+const ready = fs.mkdir(PLANS_DIR, { recursive: true }).catch(error => {
+  logger.error(`[PlanStore] Failed to create ${PLANS_DIR}: ${error.message}`);
+});
+
+function isValidPlanId(planId) {
+  return typeof planId === 'string' && PLAN_ID_PATTERN.test(planId);
+}
+
+function getPlanPath(planId) {
+  return path.join(PLANS_DIR, `${planId}.json`);
+}
+
+// Plans that are not running are interrupted, whatever status they were saved with
+function withStatus(stored) {
+  return activePlans.has(stored.id) ? stored : { ...stored, status: stored.status === 'failed' ? 'failed' : 'interrupted' };
+}
+
+/**
+ * Persist a plan and its checkpoints. Writes for one plan are chained so they never overlap.
+ * @param {Object} plan - Plan from planQueryExecution or restorePlan, with userId and sessionId set
+ * @param {string} status - 'running', 'interrupted' or 'failed'
+ * @returns {Promise<void>}
+ */
+function savePlan(plan, status) {
+  const record = {
+    id: plan.id,
+    userId: plan.userId,
+    sessionId: plan.sessionId,
+    query: plan.query,
+    historyContext: plan.historyContext,
+    status,
+    steps: plan.steps,
+    checkpoints: plan.stateManager.serializeCheckpoints(),
+    createdAt: plan.startTime,
+    updatedAt: Date.now()
+  };
+  const previous = writes.get(plan.id) || ready;
+  const write = previous.then(async () => {
+    const filePath = getPlanPath(plan.id);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(record, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }).catch(error => {
+    logger.error(`[PlanStore] Error saving plan ${plan.id}: ${error.message}`);
+  });
+  writes.set(plan.id, write);
+  return write;
+}
+
+/**
+ * Load a user's stored plan.
+ * @param {string} planId - Plan ID
+ * @param {string} userId - Requesting user; plans of other users are not visible
+ * @returns {Promise<Object|null>} Stored plan, or null when it does not exist
+ */
+async function getPlan(planId, userId) {
+  if (!isValidPlanId(planId)) return null;
+  await (writes.get(planId) || ready);
+  try {
+    const stored = JSON.parse(await fs.readFile(getPlanPath(planId), 'utf8'));
+    return stored.userId === userId ? withStatus(stored) : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`[PlanStore] Error reading plan ${planId}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * List a user's plans that stopped before finishing, most recently updated first.
+ * @param {string} userId - Owner of the plans
+ * @returns {Promise<Array>} [{ id, sessionId, query, status, progress, createdAt, updatedAt }]
+ */
+async function listInterruptedPlans(userId) {
+  await ready;
+  const files = await fs.readdir(PLANS_DIR);
+  const ids = files
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .filter(id => !activePlans.has(id));
+  const loaded = await Promise.all(ids.map(id => getPlan(id, userId)));
+  return loaded
+    .filter(Boolean)
+    .map(stored => {
+      const last = stored.checkpoints[stored.checkpoints.length - 1];
+      const states = last ? last.taskStates.map(([, state]) => state) : [];
+      return {
+        id: stored.id,
+        sessionId: stored.sessionId,
+        query: stored.query,
+        status: stored.status,
+        progress: { completed: states.filter(state => state === 'completed').length, total: stored.steps.length },
+        createdAt: stored.createdAt,
+        updatedAt: stored.updatedAt
+      };
+    })
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Delete a stored plan (after it finished, or when the user discards it).
+ * @param {string} planId - Plan ID
+ * @returns {Promise<boolean>} True when a plan was deleted
+ */
+async function deletePlan(planId) {
+  if (!isValidPlanId(planId)) return false;
+  await (writes.get(planId) || ready);
+  writes.delete(planId);
+  try {
+    await fs.unlink(getPlanPath(planId));
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return false;
+  }
+}
+
+// Mark a plan as executing (true) or stopped (false) in this process
+function setActive(planId, active) {
+  if (active) {
+    activePlans.add(planId);
+  } else {
+    activePlans.delete(planId);
+  }
+}
+
+function isActive(planId) {
+  return activePlans.has(planId);
+}
+
+/**
+ * Mark a plan as executing unless it already is. The check and the mark happen
+ * together, so of two concurrent resumes only one can run the plan.
+ * @param {string} planId - Plan ID
+ * @returns {boolean} False when the plan is already running
+ */
+function claim(planId) {
+  if (activePlans.has(planId)) return false;
+  activePlans.add(planId);
+  return true;
+}
+
+module.exports = {
+  isValidPlanId,
+  savePlan,
+  getPlan,
+  listInterruptedPlans,
+  deletePlan,
+  setActive,
+  isActive,
+  claim
+};
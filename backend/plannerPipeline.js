@@ -0,0 +1,167 @@
+/* backend/plannerPipeline.js */
+// "planner" pipeline mode: decomposes the query into a plan with
+// reasoning/meta_reasoning.js and executes it as a dependency graph
+const genAI = require('./aiClient');
+const { getMemoryManager } = require('./memory/memory_manager');
+const { ANONYMOUS_USER } = require('./auth');
+const { planQueryExecution, executePlan, restorePlan, restorePlanContext } = require('./reasoning/meta_reasoning');
+const planStore = require('./planStore');
+const config = require('./config');
+const logger = require('./logger');
+
+// Upper bound on executed tasks, including inserted fixing steps
+const MAX_PLAN_STEPS = 20;
+
+// The plan to resume is already executing; the plans route answers 409
+function planRunningError(planId) {
+  const error = new Error(`Plan '${planId}' is already running`);
+  error.code = 'EPLANRUNNING';
+  return error;
+}
+
+/**
+ * Runs the planner pipeline for a user query. Same contract as the linear
+ * pipeline (reasoningPipeline.js): every task-state transition of the plan is
+ * reported through onProgress. The plan is checkpointed to planStore after every
+ * task, so a crashed or cancelled run can be resumed with options.resumePlanId.
+ * @param {string} userMsg
+ * @param {Array} history - conversation history as [{role, text}, ...]
+ * @param {Function} [onProgress] - called with each reasoning log entry
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - cancels the run; the returned promise rejects with an AbortError
+ * @param {MemoryManager} [options.memory] - the user's memory scope (see getMemoryManager)
+ * @param {string} [options.sessionId] - session the run belongs to, recorded with the plan
+ * @param {string} [options.resumePlanId] - continue this stored plan instead of planning userMsg
+ * @returns {Promise<Object>} { finalResponse, reasoningLog, sources, planId }, where sources
+ *   are the search results the answer cites as [n]; rejects with an error whose code is
+ *   'EPLANRUNNING' when the plan to resume is already running
+ */
+module.exports = async function runPlannerPipeline(userMsg, history = [], onProgress, options = {}) {
+  const { signal } = options;
+  const memoryManager = options.memory || await getMemoryManager(ANONYMOUS_USER);
+  const reasoningLog = [];
+
+  // Helper to record and stream a log entry
+  function log(entry) {
+    const withTs = { timestamp: new Date().toISOString(), ...entry };
+    reasoningLog.push(withTs);
+    try { logger.debug(`[Planner] ${withTs.step}: ${withTs.message}`); } catch(e) {}
+    if (typeof onProgress === 'function') {
+      try { onProgress(withTs); } catch(e){}
+    }
+  }
+
+  // Stop between steps once the run has been cancelled
+  function checkCancelled() {
+    if (signal) signal.throwIfAborted();
+  }
+
+  const facts = memoryManager.getAllFacts();
+  facts.push({ type: 'current_date', value: new Date().toLocaleDateString() });
+  log({ step: 'P1. Retrieved Chat Facts', message: JSON.stringify(facts) });
+
+  // A resumed plan continues with the conversation it was planned for
+  const stored = options.resumePlanId ? await planStore.getPlan(options.resumePlanId, memoryManager.userId) : null;
+  if (options.resumePlanId && !stored) {
+    throw new Error(`Plan '${options.resumePlanId}' not found`);
+  }
+  // Claimed before the next await, so a concurrent resume of the same plan fails here
+  if (stored && !planStore.claim(stored.id)) {
+    throw planRunningError(stored.id);
+  }
+  const historyContext = stored ? stored.historyContext : (Array.isArray(history) ? history : [])
+    .map(turn => `${turn.role}: ${turn.text}`)
+    .join('\n');
+
+  // Shared with the step executors; tools read the AbortSignal from context.signal
+  const context = {
+    userMsg,
+    facts,
+    historyContext,
+    toolHistory: { web_searches: [], url_reads: [] },
+    genAI,
+    memory: memoryManager,
+    signal
+  };
+
+  let plan = null;
+  const stateOptions = {
+    onTransition: (task, previousState) => {
+      log({
+        step: `P3. Task ${task.id} (${task.type})`,
+        message: `${previousState} -> ${task.state}: ${task.description || ''}`,
+        task: { id: task.id, type: task.type, state: task.state, previousState }
+      });
+    },
+    // Persist every checkpoint taken once the plan exists
+    onCheckpoint: () => {
+      if (plan) planStore.savePlan(plan, 'running');
+    }
+  };
+
+  if (stored) {
+    try {
+      plan = restorePlan(stored, stateOptions);
+      restorePlanContext(plan, context);
+    } catch (err) {
+      planStore.setActive(stored.id, false);
+      throw err;
+    }
+    log({
+      step: 'P2. Resumed Plan',
+      message: `Continuing plan ${plan.id}: ${JSON.stringify(plan.stateManager.getTaskStatus())}`,
+      planId: plan.id
+    });
+  } else {
+    plan = await planQueryExecution(userMsg, facts, historyContext, genAI, { ...stateOptions, signal });
+    checkCancelled();
+    log({
+      step: 'P2. Planned Query Execution',
+      message: JSON.stringify(plan.steps.map(step => ({ id: step.id, type: step.type, description: step.description }))),
+      planId: plan.id
+    });
+  }
+  plan.userId = memoryManager.userId;
+  plan.sessionId = stored ? stored.sessionId : options.sessionId;
+  plan.historyContext = historyContext;
+
+  // Independent tasks run concurrently; a memory hit stops scheduling the rest of the plan
+  const isMemoryAnswer = entry =>
+    entry.step.type === 'MEMORY_CHECK' && entry.result.success && entry.result.answer;
+  if (!stored) planStore.setActive(plan.id, true);
+  try {
+    await planStore.savePlan(plan, 'running');
+    await executePlan(plan, context, {
+      concurrency: config.planConcurrency,
+      maxTasks: MAX_PLAN_STEPS,
+      stopWhen: isMemoryAnswer
+    });
+    checkCancelled();
+  } catch (err) {
+    // Keep the checkpoints so the run can be resumed
+    await planStore.savePlan(plan, signal && signal.aborted ? 'interrupted' : 'failed');
+    throw err;
+  } finally {
+    planStore.setActive(plan.id, false);
+  }
+  // Finished plans are not resumable
+  await planStore.deletePlan(plan.id);
+
+  const memoryAnswer = plan.results.find(isMemoryAnswer);
+  if (memoryAnswer) {
+    log({ step: 'P4. Memory Answer', message: memoryAnswer.result.answer });
+    return { finalResponse: memoryAnswer.result.answer, reasoningLog, sources: [], planId: plan.id };
+  }
+  if (!plan.completed) {
+    log({ step: 'P4. Plan Aborted', message: `Stopped after ${MAX_PLAN_STEPS} tasks` });
+  }
+  log({ step: 'P4. Plan Finished', message: JSON.stringify(plan.stateManager.getTaskStatus()) });
+
+  // The answer is the latest verified or synthesized response
+  const answered = [...plan.results].reverse().find(r => r.result && r.result.success && r.result.response);
+  const finalResponse = answered ? answered.result.response : "Sorry, I couldn't satisfy your request.";
+  const sources = (answered && answered.result.sources) || [];
+  log({ step: 'P5. Final Response Sent', message: finalResponse });
+  log({ step: 'P5a. Cited Sources', message: sources.map(source => `[${source.id}] ${source.url}`).join('\n') || 'None' });
+  return { finalResponse, reasoningLog, sources, planId: plan.id };
+};
@@ -0,0 +1,102 @@
+/* backend/policyProxy.js */
+// Local HTTP proxy for the headless browser. The browser hands every connection to
+// it, page requests and WebSockets alike, and the proxy resolves and connects with
+// the URL policy's lookup, so the address check happens at connect time and a page
+// cannot reach private addresses by DNS rebinding.
+const http = require('http');
+const net = require('net');
+const { checkHost, lookup, policyViolationOf } = require('./urlPolicy');
+const logger = require('./logger');
+
+// Headers that only concern the hop between the browser and the proxy
+const HOP_HEADERS = ['proxy-connection', 'proxy-authorization', 'keep-alive', 'connection'];
+
+let proxyPromise = null;
+
+// Refuse a connection: 403 for the policy, 502 for anything else
+function refuse(error, url) {
+  const violation = policyViolationOf(error);
+  if (violation) logger.info(`[PolicyProxy] Blocked ${url}: ${violation.message}`);
+  return violation ? 403 : 502;
+}
+
+// Plain http:// requests arrive with the absolute URL
+function forwardRequest(req, res) {
+  let target;
+  try {
+    target = new URL(req.url);
+    checkHost(target.protocol, target.hostname);
+  } catch (error) {
+    res.writeHead(target ? refuse(error, req.url) : 400).end();
+    return;
+  }
+  const headers = { ...req.headers };
+  HOP_HEADERS.forEach(name => delete headers[name]);
+  const upstream = http.request(target, { method: req.method, headers, lookup }, response => {
+    res.writeHead(response.statusCode, response.headers);
+    response.pipe(res);
+  });
+  upstream.on('error', error => {
+    if (!res.headersSent) res.writeHead(refuse(error, req.url)).end();
+    else res.destroy();
+  });
+  req.pipe(upstream);
+}
+
+// https:// and WebSocket connections are tunneled with CONNECT host:port
+function forwardTunnel(req, socket, head) {
+  socket.on('error', () => {});
+  let target;
+  try {
+    target = new URL(`https://${req.url}`);
+    checkHost(target.protocol, target.hostname);
+  } catch (error) {
+    socket.end(`HTTP/1.1 ${target ? refuse(error, req.url) : 400} Refused\r\n\r\n`);
+    return;
+  }
+  const upstream = net.connect({
+    host: target.hostname.replace(/^\[|\]$/g, ''),
+    port: Number(target.port) || 443,
+    lookup
+  });
+  let established = false;
+  upstream.on('connect', () => {
+    established = true;
+    socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    if (head.length > 0) upstream.write(head);
+    upstream.pipe(socket);
+    socket.pipe(upstream);
+  });
+  upstream.on('error', error => {
+    if (!established) socket.end(`HTTP/1.1 ${refuse(error, req.url)} Refused\r\n\r\n`);
+    else socket.destroy();
+  });
+  socket.on('close', () => upstream.destroy());
+}
+
+/**
+ * Start the proxy on a free loopback port (once per process).
+ * @returns {Promise<string>} Proxy server URL for the browser, e.g. http://127.0.0.1:41234
+ */
+function startPolicyProxy() {
+  if (!proxyPromise) {
+    proxyPromise = new Promise((resolve, reject) => {
+      const server = http.createServer(forwardRequest);
+      server.on('connect', forwardTunnel);
+      server.once('error', error => {
+        proxyPromise = null;
+        reject(error);
+      });
+      server.listen(0, '127.0.0.1', () => {
+        // The proxy must not keep the process alive
+        server.unref();
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      });
+    });
+  }
+  return proxyPromise;
+}
+
+module.exports = {
+  startPolicyProxy
+};
@@ -0,0 +1,144 @@
+/* backend/protocol.js */
+// WebSocket wire protocol shared by server.js and frontend/app.js.
+//
+// Every frame, in both directions, is a JSON envelope:
+//   { "version": 1, "type": "<type>", "requestId": "<id>", ...payload }
+//
+// Client -> server
+//   chat      { message: string, sessionId?: string, history?: [{role, text}], mode?: string }
+//             start a pipeline run; sessionId continues (or creates) a stored conversation,
+//             history only seeds a new session, mode picks the pipeline (linear | planner)
+//   cancel    {}                                               abort (or dequeue) requestId
+//
+// Server -> client (requestId echoes the chat request it belongs to)
+//   queued        { position }            run waits behind another request on this socket
+//   progress      { entry }               one reasoning log entry ({ timestamp, step, message })
+//   delta         { delta }               streamed text of the final answer
+//   stream_reset  {}                      discard the streamed text received so far
+//   response      { response, reasoningLog, sources, sessionId }   final answer; closes the request.
+//                 sources are the pages the answer cites as [n]: [{ id, title, url, snippet }]
+//   cancelled     {}                      run was aborted; closes the request
+//   error         { code, error }         request failed or frame was rejected; closes the request
+
+const { isValidSessionId, isValidHistory } = require('./sessionStore');
+const { PIPELINE_MODES, isValidMode } = require('./pipelines');
+
+const PROTOCOL_VERSION = 1;
+
+// Payload schemas for client frames, in the same shape as tool parametersSchema
+const CLIENT_SCHEMAS = {
+  chat: {
+    message: { type: "string", required: true },
+    sessionId: { type: "string", required: false },
+    history: { type: "array", required: false },
+    mode: { type: "string", required: false }
+  },
+  cancel: {}
+};
+
+const SERVER_MESSAGE_TYPES = [
+  'queued',
+  'progress',
+  'delta',
+  'stream_reset',
+  'response',
+  'cancelled',
+  'error'
+];
+
+// Error codes sent in { type: "error" } frames
+const ERROR_CODES = {
+  INVALID_JSON: 'invalid_json',
+  INVALID_FRAME: 'invalid_frame',
+  UNSUPPORTED_VERSION: 'unsupported_version',
+  BUSY: 'busy',
+  PIPELINE_ERROR: 'pipeline_error'
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Parse and validate a raw client frame.
+ * @param {string|Buffer} raw - Frame as received from the socket
+ * @returns {Object} { valid: true, frame } or { valid: false, code, error, requestId }
+ */
+function parseClientFrame(raw) {
+  let frame;
+  try {
+    frame = JSON.parse(raw);
+  } catch {
+    return { valid: false, code: ERROR_CODES.INVALID_JSON, error: 'Frame is not valid JSON' };
+  }
+  if (typeOf(frame) !== 'object') {
+    return { valid: false, code: ERROR_CODES.INVALID_FRAME, error: 'Frame must be a JSON object' };
+  }
+
+  const requestId = typeof frame.requestId === 'string' ? frame.requestId : undefined;
+  const reject = (code, error) => ({ valid: false, code, error, requestId });
+
+  if (frame.version !== PROTOCOL_VERSION) {
+    return reject(ERROR_CODES.UNSUPPORTED_VERSION, `Unsupported protocol version '${frame.version}', expected ${PROTOCOL_VERSION}`);
+  }
+  const schema = CLIENT_SCHEMAS[frame.type];
+  if (!schema) {
+    return reject(ERROR_CODES.INVALID_FRAME, `Unknown frame type '${frame.type}'`);
+  }
+  if (!requestId) {
+    return reject(ERROR_CODES.INVALID_FRAME, 'Missing requestId');
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = frame[field];
+    if (value === undefined) {
+      if (rule.required) return reject(ERROR_CODES.INVALID_FRAME, `Missing required field '${field}'`);
+      continue;
+    }
+    if (typeOf(value) !== rule.type) {
+      return reject(ERROR_CODES.INVALID_FRAME, `Field '${field}' must be of type ${rule.type}`);
+    }
+  }
+
+  if (frame.type === 'chat') {
+    if (!frame.message.trim()) {
+      return reject(ERROR_CODES.INVALID_FRAME, 'Field \'message\' must not be empty');
+    }
+    if (frame.sessionId !== undefined && !isValidSessionId(frame.sessionId)) {
+      return reject(ERROR_CODES.INVALID_FRAME, 'Field \'sessionId\' must be 1-64 characters of letters, digits, \'_\' or \'-\'');
+    }
+    if (frame.mode !== undefined && !isValidMode(frame.mode)) {
+      return reject(ERROR_CODES.INVALID_FRAME, `Field 'mode' must be one of: ${PIPELINE_MODES.join(', ')}`);
+    }
+    if (frame.history !== undefined && !isValidHistory(frame.history)) {
+      return reject(ERROR_CODES.INVALID_FRAME, 'History entries must be { role: "user"|"agent", text: string }');
+    }
+  }
+
+  return { valid: true, frame };
+}
+
+/**
+ * Build a server frame.
+ * @param {string} type - One of SERVER_MESSAGE_TYPES
+ * @param {string} [requestId] - Request the frame belongs to
+ * @param {Object} [payload] - Type-specific fields
+ * @returns {string} Serialized frame
+ */
+function createFrame(type, requestId, payload = {}) {
+  if (!SERVER_MESSAGE_TYPES.includes(type)) {
+    throw new Error(`Unknown server frame type '${type}'`);
+  }
+  return JSON.stringify({ version: PROTOCOL_VERSION, type, requestId, ...payload });
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  CLIENT_SCHEMAS,
+  SERVER_MESSAGE_TYPES,
+  ERROR_CODES,
+  parseClientFrame,
+  createFrame
+};
@@ -0,0 +1,33 @@
+/* backend/providers/gemini.js */
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+/**
+ * Google Generative AI provider (Gemini / Gemma models).
+ */
+module.exports = {
+  name: "gemini",
+  description: "Google Generative AI SDK",
+
+  /**
+   * Create a provider instance
+   * @param {Object} config - Central config
+   * @returns {Object} Provider with generateContent(model, prompt, { signal }) and generateContentStream(model, prompt, { signal })
+   */
+  create(config) {
+    const genAI = new GoogleGenerativeAI(config.geminiApiKey);
+    return {
+      name: "gemini",
+      async generateContent(model, prompt, { signal } = {}) {
+        const result = await genAI.getGenerativeModel({ model }).generateContent(prompt, { signal });
+        return await result.response.text();
+      },
+      async *generateContentStream(model, prompt, { signal } = {}) {
+        const result = await genAI.getGenerativeModel({ model }).generateContentStream(prompt, { signal });
+        for await (const chunk of result.stream) {
+          const text = chunk.text();
+          if (text) yield text;
+        }
+      }
+    };
+  }
+};
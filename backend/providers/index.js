@@ -0,0 +1,15 @@
+const fs = require('fs');
+const path = require('path');
+
+const providers = {};
+
+fs.readdirSync(__dirname).forEach(file => {
+  if (file !== 'index.js' && file.endsWith('.js')) {
+    const provider = require(path.join(__dirname, file));
+    if (provider && provider.name) {
+      providers[provider.name] = provider;
+    }
+  }
+});
+
+module.exports = providers;
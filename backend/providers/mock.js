@@ -0,0 +1,84 @@
+/* backend/providers/mock.js */
+const fs = require("fs");
+
+// Returned when no scripted rule matches. It is valid JSON so that every
+// JSON-extracting caller (runCoT, toolSelector, resultChecker...) can parse it.
+const DEFAULT_RESPONSE = '{"reasoning":[]}';
+
+/**
+ * Deterministic scripted provider for offline runs and tests.
+ *
+ * A script is an array of rules: { match: "<substring or /regex/flags>", response: "<text>" }.
+ * Rules are checked in order against the prompt; the first match wins.
+ * Responses queued with enqueue() take priority over the script.
+ */
+module.exports = {
+  name: "mock",
+  description: "Scripted responses, no network access",
+
+  /**
+   * Create a provider instance
+   * @param {Object} config - Central config (mockScriptPath is optional)
+   * @returns {Object} Provider with generateContent(model, prompt, { signal }) and generateContentStream(model, prompt, { signal })
+   */
+  create(config) {
+    let script = config.mockScriptPath ? loadScript(config.mockScriptPath) : [];
+    const queue = [];
+    const calls = [];
+
+    const mock = {
+      name: "mock",
+      async generateContent(model, prompt, { signal } = {}) {
+        if (signal) signal.throwIfAborted();
+        calls.push({ model, prompt });
+        if (queue.length > 0) {
+          return queue.shift();
+        }
+        const rule = script.find(r => matches(r.match, prompt));
+        return rule ? rule.response : DEFAULT_RESPONSE;
+      },
+      // Streams the same scripted response word by word
+      async *generateContentStream(model, prompt, { signal } = {}) {
+        const text = await mock.generateContent(model, prompt, { signal });
+        for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+          if (signal) signal.throwIfAborted();
+          yield piece;
+        }
+      },
+      // Replace the scripted rules
+      setScript(rules) {
+        script = Array.isArray(rules) ? rules : [];
+      },
+      // Queue one-off responses, consumed in order
+      enqueue(...responses) {
+        queue.push(...responses);
+      },
+      // Prompts received so far, for assertions
+      getCalls() {
+        return calls.slice();
+      },
+      reset() {
+        queue.length = 0;
+        calls.length = 0;
+      }
+    };
+    return mock;
+  }
+};
+
+function loadScript(filePath) {
+  const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(rules)) {
+    throw new Error(`Mock LLM script ${filePath} must be a JSON array`);
+  }
+  return rules;
+}
+
+function matches(pattern, prompt) {
+  if (!pattern) return true;
+  const regexMatch = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]).test(prompt);
+  }
+  return prompt.includes(pattern);
+}
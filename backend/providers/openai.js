@@ -0,0 +1,65 @@
+/* backend/providers/openai.js */
+const axios = require("axios");
+
+/**
+ * OpenAI-compatible chat completions provider.
+ * Works against api.openai.com as well as self-hosted servers exposing
+ * the same schema (vLLM, Ollama, llama.cpp, LM Studio, ...).
+ */
+module.exports = {
+  name: "openai",
+  description: "OpenAI-compatible /chat/completions HTTP API",
+
+  /**
+   * Create a provider instance
+   * @param {Object} config - Central config
+   * @returns {Object} Provider with generateContent(model, prompt, { signal }) and generateContentStream(model, prompt, { signal })
+   */
+  create(config) {
+    const baseUrl = config.openaiBaseUrl.replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.openaiApiKey) {
+      headers['Authorization'] = `Bearer ${config.openaiApiKey}`;
+    }
+
+    return {
+      name: "openai",
+      async generateContent(model, prompt, { signal } = {}) {
+        const response = await axios.post(`${baseUrl}/chat/completions`, {
+          // OPENAI_MODEL overrides the Gemini model names used by the pipeline
+          model: config.openaiModel || model,
+          messages: [{ role: 'user', content: prompt }]
+        }, { headers, timeout: config.llmTimeout, signal });
+
+        const choice = response.data && response.data.choices && response.data.choices[0];
+        if (!choice || !choice.message) {
+          throw new Error('No choices in chat completions response');
+        }
+        return choice.message.content || '';
+      },
+      async *generateContentStream(model, prompt, { signal } = {}) {
+        const response = await axios.post(`${baseUrl}/chat/completions`, {
+          model: config.openaiModel || model,
+          messages: [{ role: 'user', content: prompt }],
+          stream: true
+        }, { headers, timeout: config.llmTimeout, responseType: 'stream', signal });
+
+        // Parse server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+        let buffer = '';
+        for await (const chunk of response.data) {
+          buffer += chunk.toString('utf8');
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          for (const line of lines) {
+            const data = line.replace(/^data:\s*/, '').trim();
+            if (!line.startsWith('data:') || !data) continue;
+            if (data === '[DONE]') return;
+            const parsed = JSON.parse(data);
+            const delta = parsed.choices && parsed.choices[0] && parsed.choices[0].delta;
+            if (delta && delta.content) yield delta.content;
+          }
+        }
+      }
+    };
+  }
+};
@@ -35,7 +35,7 @@ const VALID_INTENTS = [
 /**
  * Classify user intent using both rule-based and ML approaches
  * @param {string} userMsg - User's message
- * @param {object} context - Context including history and facts
+ * @param {object} context - Context including history, facts and the run's AbortSignal (signal)
  * @param {object} genAI - The Gemini API object
  * @returns {object} Intent classification with confidence score
  */
@@ -101,7 +101,7 @@ function quickClassify(msg) {
  */
 async function mlClassify(msg, context, genAI) {
   try {
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+    const model = genAI.getGenerativeModel({ role: "cot" });
     
     const prompt = `
 Classify the user's message into one of these intent categories:
@@ -125,7 +125,7 @@ Respond with only a JSON object in this format:
   "explanation": "Brief explanation of why this intent was chosen"
 }`;
 
-    const result = await model.generateContent(prompt);
+    const result = await model.generateContent(prompt, { signal: context.signal });
     const responseText = await result.response.text();
     
     // Extract JSON from response
@@ -1,6 +1,11 @@
 /* backend/reasoning/meta_reasoning.js */
+const crypto = require('crypto');
 const { createLogger, format, transports } = require('winston');
 const logger = require('../logger');
+const { normalizeSearchOptions } = require('../searchOptions');
+
+// Optional WEB_SEARCH parameters a planned task can carry (see searchOptions.js)
+const SEARCH_PARAM_KEYS = ['page', 'region', 'safeSearch', 'recency', 'sites', 'excludeSites'];
 
 // Task state constants
 const TASK_STATES = {
@@ -16,16 +21,25 @@ const TASK_STATES = {
  * Tracks progress, handles failures, and suggests alternatives
  */
 class ReasoningStateManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onTransition] - called with (task, previousState) whenever a task changes state
+   * @param {Function} [options.onCheckpoint] - called with each new checkpoint (e.g. to persist it)
+   */
+  constructor(options = {}) {
     this.tasks = new Map();
     this.results = new Map();
     this.approaches = new Map();
     this.checkpoints = [];
+    this.onTransition = options.onTransition;
+    this.onCheckpoint = options.onCheckpoint;
   }
   
   initializePlan(plan) {
     plan.steps.forEach((step, index) => {
       const taskId = step.id || `task-${index}`;
+      // Re-initializing after a fixing step was inserted keeps the state of known tasks
+      if (this.tasks.has(taskId)) return;
       this.tasks.set(taskId, {
         ...step,
         id: taskId,
@@ -60,6 +74,10 @@ class ReasoningStateManager {
     }
     
     this.tasks.set(taskId, updatedTask);
+    
+    if (typeof this.onTransition === 'function' && task.state !== newState) {
+      try { this.onTransition(updatedTask, task.state); } catch (e) {}
+    }
     return true;
   }
   
@@ -231,32 +249,70 @@ class ReasoningStateManager {
   }
   
   createCheckpoint(name) {
-    this.checkpoints.push({
+    const checkpoint = {
       name,
       timestamp: Date.now(),
       taskStates: new Map([...this.tasks].map(([id, task]) => [id, task.state])),
       resultsSnapshot: new Map(this.results),
-      approachesSnapshot: new Map(this.approaches)
-    });
+      // Copy the per-task arrays, recordFailure keeps appending to them
+      approachesSnapshot: new Map([...this.approaches].map(([id, list]) => [id, [...list]]))
+    };
+    this.checkpoints.push(checkpoint);
     
     // Keep only the last 10 checkpoints
     if (this.checkpoints.length > 10) {
       this.checkpoints.shift();
     }
+    
+    if (typeof this.onCheckpoint === 'function') {
+      try { this.onCheckpoint(checkpoint); } catch (e) {}
+    }
   }
   
   restoreCheckpoint(name) {
-    const checkpoint = this.checkpoints.find(cp => cp.name === name);
+    // The most recent checkpoint of that name
+    const checkpoint = [...this.checkpoints].reverse().find(cp => cp.name === name);
     if (!checkpoint) return false;
     
-    // Restore state from checkpoint
-    this.tasks = new Map([...checkpoint.taskStates]);
+    // Restore state from checkpoint; task definitions stay, only their states roll back
+    checkpoint.taskStates.forEach((state, taskId) => {
+      const task = this.tasks.get(taskId);
+      if (task) this.tasks.set(taskId, { ...task, state });
+    });
     this.results = new Map([...checkpoint.resultsSnapshot]);
-    this.approaches = new Map([...checkpoint.approachesSnapshot]);
+    this.approaches = new Map([...checkpoint.approachesSnapshot].map(([id, list]) => [id, [...list]]));
     
     return true;
   }
   
+  /**
+   * Checkpoints in a JSON-serializable form (Maps become entry arrays)
+   * @returns {Array} Serialized checkpoints, oldest first
+   */
+  serializeCheckpoints() {
+    return this.checkpoints.map(checkpoint => ({
+      name: checkpoint.name,
+      timestamp: checkpoint.timestamp,
+      taskStates: [...checkpoint.taskStates],
+      results: [...checkpoint.resultsSnapshot],
+      approaches: [...checkpoint.approachesSnapshot]
+    }));
+  }
+  
+  /**
+   * Replace the checkpoints with ones produced by serializeCheckpoints()
+   * @param {Array} serialized - Serialized checkpoints
+   */
+  loadCheckpoints(serialized) {
+    this.checkpoints = serialized.map(checkpoint => ({
+      name: checkpoint.name,
+      timestamp: checkpoint.timestamp,
+      taskStates: new Map(checkpoint.taskStates),
+      resultsSnapshot: new Map(checkpoint.results),
+      approachesSnapshot: new Map(checkpoint.approaches)
+    }));
+  }
+  
   getTaskStatus() {
     const status = {
       pending: 0,
@@ -284,7 +340,7 @@ class ReasoningStateManager {
 /**
  * Decomposes a complex query into subtasks
  * @param {string} query - The user's query
- * @param {object} context - Context including facts and history
+ * @param {object} context - Context including facts, history and the run's AbortSignal (signal)
  * @param {object} modelProvider - LLM provider
  * @returns {Array} Decomposed tasks with dependencies
  */
@@ -292,7 +348,7 @@ async function decomposeQuery(query, context, modelProvider) {
   try {
     logger.info(`Decomposing query: "${query}"`);
     
-    const model = modelProvider.getGenerativeModel({ model: "gemini-1.5-flash" });
+    const model = modelProvider.getGenerativeModel({ role: "cot" });
     
     const prompt = `
 You are an expert in breaking down complex problems into smaller, manageable tasks.
@@ -314,6 +370,10 @@ For each subtask, specify:
 5. Output expectations - what information this task should produce
 6. Dependencies - IDs of tasks that must be completed before this one (if any)
 7. Priority (1-5, where 1 is highest priority)
+8. Optionally, for INFORMATION_GATHERING tasks that search the web, "searchParams" with any of:
+   page (result page, 1-based), region ("us-en"), safeSearch (strict|moderate|off),
+   recency (day|week|month|year), sites / excludeSites (lists of domains).
+   Use recency for news, prices and other current information, and sites when the user names a source.
 
 IMPORTANT: Please ensure tasks are in a logical order. For example:
 - MEMORY_CHECK and INTENT_CLASSIFICATION should come before TOOL_SELECTION
@@ -332,11 +392,21 @@ Return your analysis as a JSON array:
     "dependencies": [],
     "priority": 1
   },
+  {
+    "id": "task-4",
+    "type": "INFORMATION_GATHERING",
+    "description": "Search for this week's GitHub announcements on the GitHub blog",
+    "input": "Selected tool",
+    "output": "Recent announcements",
+    "dependencies": ["task-3"],
+    "priority": 3,
+    "searchParams": { "recency": "week", "sites": ["github.blog"] }
+  },
   // more tasks...
 ]
 `;
 
-    const result = await model.generateContent(prompt);
+    const result = await model.generateContent(prompt, { signal: context.signal });
     const text = await result.response.text();
     
     // Extract JSON array from response
@@ -357,7 +427,8 @@ Return your analysis as a JSON array:
       output: task.output || 'Result',
       dependencies: Array.isArray(task.dependencies) ? task.dependencies : [],
       priority: task.priority || 3,
-      optional: !!task.optional
+      optional: !!task.optional,
+      searchParams: plannedSearchParams(task.searchParams)
     }));
     
     // Apply logical dependency enforcement
@@ -372,14 +443,36 @@ Return your analysis as a JSON array:
   }
 }
 
+/**
+ * Keep the valid WEB_SEARCH parameters of a planned task.
+ * @param {Object} [searchParams] - As written by the planner
+ * @returns {Object|undefined} Parameters to pass to WEB_SEARCH, or undefined when
+ *   there are none or they do not validate
+ */
+function plannedSearchParams(searchParams) {
+  if (!searchParams || typeof searchParams !== 'object') return undefined;
+  const params = {};
+  for (const key of SEARCH_PARAM_KEYS) {
+    if (searchParams[key] !== undefined && searchParams[key] !== null && searchParams[key] !== '') {
+      params[key] = searchParams[key];
+    }
+  }
+  if (Object.keys(params).length === 0) return undefined;
+  const { error } = normalizeSearchOptions(params);
+  if (error) {
+    logger.warn(`Ignoring planned search parameters: ${error}`);
+    return undefined;
+  }
+  return params;
+}
+
 /**
  * Enforce logical dependencies between different task types
  * @param {Array} tasks - The tasks to enforce dependencies on
  * @returns {Array} Tasks with enforced logical dependencies
  */
 function enforceLogicalDependencies(tasks) {
-  // Create a map of tasks by ID and type
-  const taskMap = new Map(tasks.map(task => [task.id, task]));
+  // Group tasks by type
   const tasksByType = {};
   
   tasks.forEach(task => {
@@ -399,7 +492,8 @@ function enforceLogicalDependencies(tasks) {
     "VERIFICATION": ["SYNTHESIS"]
   };
   
-  // Enforce logical dependencies
+  // Enforce logical dependencies. A task depends on every task of the required
+  // types, so a scheduler running tasks concurrently waits for all of them
   return tasks.map(task => {
     const requiredDependencyTypes = logicalOrder[task.type] || [];
     const newDependencies = [...task.dependencies];
@@ -411,19 +505,10 @@ function enforceLogicalDependencies(tasks) {
         return;
       }
       
-      // Check if we already depend on a task of this type
-      const alreadyHasDep = task.dependencies.some(depId => {
-        const depTask = taskMap.get(depId);
-        return depTask && depTask.type === depType;
-      });
-      
-      // If not, add the highest priority task of this type as a dependency
-      if (!alreadyHasDep) {
-        const highestPriorityTask = tasksByType[depType]
-          .sort((a, b) => a.priority - b.priority)[0];
-        
-        newDependencies.push(highestPriorityTask.id);
-      }
+      // Add the tasks of this type we do not depend on yet
+      tasksByType[depType]
+        .filter(depTask => depTask.id !== task.id && !newDependencies.includes(depTask.id))
+        .forEach(depTask => newDependencies.push(depTask.id));
     });
     
     return {
@@ -547,18 +632,22 @@ function getDefaultTasks(query) {
  * @param {string} userQuery - The user's question or request
  * @param {Array} facts - Known facts about the user
  * @param {string} historyContext - Conversation history
+ * @param {Object} modelProvider - LLM provider
+ * @param {Object} [options] - signal cancels the planning LLM call; the other options are
+ *   passed to the plan's ReasoningStateManager (e.g. onTransition)
  * @returns {Object} A plan with steps to execute
  */
-async function planQueryExecution(userQuery, facts, historyContext, modelProvider) {
+async function planQueryExecution(userQuery, facts, historyContext, modelProvider, options = {}) {
+  const { signal, ...stateOptions } = options;
   try {
     logger.info(`Planning execution for query: "${userQuery}"`);
     
     // Use enhanced decomposition for complex queries
-    const context = { facts, historyContext };
+    const context = { facts, historyContext, signal };
     const decomposedTasks = await decomposeQuery(userQuery, context, modelProvider);
     
     // Create the reasoning state manager
-    const stateManager = new ReasoningStateManager();
+    const stateManager = new ReasoningStateManager(stateOptions);
     
     // Convert decomposed tasks to plan steps
     const steps = decomposedTasks.map(task => ({
@@ -569,11 +658,13 @@ async function planQueryExecution(userQuery, facts, historyContext, modelProvide
       output: task.output,
       dependencies: task.dependencies,
       priority: task.priority,
-      optional: task.optional || false
+      optional: task.optional || false,
+      searchParams: task.searchParams
     }));
     
     // Initialize the plan
     const plan = {
+      id: crypto.randomUUID(),
       query: userQuery,
       steps,
       currentStepIndex: 0,
@@ -620,7 +711,8 @@ async function planQueryExecution(userQuery, facts, historyContext, modelProvide
         description: 'Verify the synthesized answer',
         input: 'Synthesized answer',
         output: 'Verification result',
-        dependencies: [],
+        // Runs last, also when tasks are scheduled concurrently
+        dependencies: plan.steps.map(s => s.id),
         priority: typeOrder.length,
         optional: false
       });
@@ -631,11 +723,16 @@ async function planQueryExecution(userQuery, facts, historyContext, modelProvide
     return plan;
   } catch (error) {
     logger.error(`Error planning query execution: ${error.message}`);
-    // Return a default plan with basic steps as fallback
-    const defaultSteps = getDefaultSteps();
-    const stateManager = new ReasoningStateManager();
+    // Return a default plan with basic steps as fallback, executed one after another
+    const defaultSteps = getDefaultSteps().map((step, index) => ({
+      ...step,
+      id: `task-${index}`,
+      dependencies: index > 0 ? [`task-${index - 1}`] : []
+    }));
+    const stateManager = new ReasoningStateManager(stateOptions);
     
     const plan = {
+      id: crypto.randomUUID(),
       query: userQuery,
       steps: defaultSteps,
       currentStepIndex: 0,
@@ -655,9 +752,11 @@ async function planQueryExecution(userQuery, facts, historyContext, modelProvide
  * @param {string} query - The user's query
  * @param {Array} facts - Known facts about the user
  * @param {string} historyContext - Conversation history
+ * @param {Object} modelProvider - LLM provider
+ * @param {Object} [options] - { signal } to cancel the LLM call
  * @returns {Array} Sequence of reasoning steps
  */
-async function generateReasoningSteps(query, facts, historyContext, modelProvider) {
+async function generateReasoningSteps(query, facts, historyContext, modelProvider, { signal } = {}) {
   try {
     // Use LLM to determine what steps are needed
     const prompt = `
@@ -694,8 +793,8 @@ Example:
 ]
 `;
 
-    const model = modelProvider.getGenerativeModel({ model: "gemini-1.5-flash" });
-    const result = await model.generateContent(prompt);
+    const model = modelProvider.getGenerativeModel({ role: "cot" });
+    const result = await model.generateContent(prompt, { signal });
     const text = await result.response.text();
     
     // Extract JSON array from response
@@ -813,9 +912,10 @@ async function executeNextStep(plan, context) {
   if (!validationResult.valid) {
     logger.warn(`Cannot execute step ${currentStep.type}: ${validationResult.reason}`);
     
-    // If the issue can be fixed by inserting a step, do so
-    if (validationResult.fixable) {
-      const fixStep = createFixingStep(currentStep, validationResult);
+    // If the issue can be fixed by inserting a step, do so (once: a fixing step
+    // that ran without success must not be inserted again)
+    const fixStep = validationResult.fixable && createFixingStep(currentStep, validationResult);
+    if (fixStep && !plan.steps.some(step => step.id === fixStep.id)) {
       logger.info(`Inserting fixing step: ${fixStep.type} before ${currentStep.type}`);
       
       // Insert fixing step before the current step
@@ -838,6 +938,50 @@ async function executeNextStep(plan, context) {
     };
   }
   
+  const outcome = await runTask(plan, currentStep, taskId, context);
+  
+  if (outcome.state === TASK_STATES.COMPLETED) {
+    return {
+      ...plan,
+      results: [...plan.results, outcome.entry],
+      currentStepIndex: plan.currentStepIndex + 1,
+      completed: plan.currentStepIndex + 1 >= plan.steps.length,
+      lastStepSuccessful: true,
+      ...(outcome.entry.alternative ? { usedAlternative: true } : {})
+    };
+  }
+  
+  if (outcome.state === TASK_STATES.SKIPPED) {
+    return {
+      ...plan,
+      currentStepIndex: plan.currentStepIndex + 1,
+      completed: plan.currentStepIndex + 1 >= plan.steps.length,
+      lastStepSuccessful: false,
+      skippedStep: true
+    };
+  }
+  
+  // Both the main approach and alternative failed
+  return {
+    ...plan,
+    error: outcome.error,
+    currentStepIndex: plan.currentStepIndex + 1, // Move to next step anyway
+    completed: plan.currentStepIndex + 1 >= plan.steps.length,
+    lastStepSuccessful: false
+  };
+}
+
+/**
+ * Execute one task of a plan, retrying with an alternative approach on failure.
+ * Records the outcome in plan.stateManager but leaves plan.results to the caller.
+ * @param {Object} plan - The current reasoning plan
+ * @param {Object} currentStep - The step to execute
+ * @param {string} taskId - The step's task ID in the state manager
+ * @param {Object} context - Execution context
+ * @returns {Object} { state, entry } where entry is the { step, result, alternative? }
+ *   to add to plan.results (completed tasks only), or { state, error }
+ */
+async function runTask(plan, currentStep, taskId, context) {
   try {
     // Update task state to in progress
     plan.stateManager.updateTaskState(taskId, TASK_STATES.IN_PROGRESS);
@@ -847,7 +991,7 @@ async function executeNextStep(plan, context) {
     // Execute the appropriate step type
     switch (currentStep.type) {
       case "MEMORY_CHECK":
-        stepResult = await executeMemoryCheck(plan.query, context.facts);
+        stepResult = await executeMemoryCheck(plan.query, context);
         break;
       case "INTENT_CLASSIFICATION":
         stepResult = await executeIntentClassification(plan.query, context);
@@ -858,7 +1002,7 @@ async function executeNextStep(plan, context) {
         stepResult = await executeToolSelection(plan.query, context, toolPriorities);
         break;
       case "INFORMATION_GATHERING":
-        stepResult = await executeInformationGathering(plan.query, context);
+        stepResult = await executeInformationGathering(plan.query, context, currentStep);
         break;
       case "SYNTHESIS":
         stepResult = await executeSynthesis(plan.query, plan.results, context);
@@ -869,22 +1013,18 @@ async function executeNextStep(plan, context) {
       default:
         stepResult = { success: false, error: `Unknown step type: ${currentStep.type}` };
     }
+    // Executors that catch their own errors return a failed result when cancelled
+    if (context.signal) context.signal.throwIfAborted();
     
     // Record the success
     plan.stateManager.recordSuccess(taskId, stepResult);
     
-    // Update the plan with results from this step
-    const updatedResults = [...plan.results, { step: currentStep, result: stepResult }];
-    
-    return {
-      ...plan,
-      results: updatedResults,
-      currentStepIndex: plan.currentStepIndex + 1,
-      completed: plan.currentStepIndex + 1 >= plan.steps.length,
-      lastStepSuccessful: true
-    };
+    return { state: TASK_STATES.COMPLETED, entry: { step: currentStep, result: stepResult } };
     
   } catch (error) {
+    // A cancelled task is neither failed nor retried; it stays in progress and
+    // restorePlan runs it again when the plan is resumed
+    if (context.signal && context.signal.aborted) throw error;
     logger.error(`Error executing step: ${error.message}`);
     
     // Record the failure
@@ -902,7 +1042,7 @@ async function executeNextStep(plan, context) {
         
         switch (alternative.approach) {
           case 'WEB_SEARCH':
-            retryResult = await executeToolWithName('WEB_SEARCH', plan.query, context);
+            retryResult = await executeToolWithName('WEB_SEARCH', plan.query, context, currentStep);
             break;
           case 'READ_URL':
             retryResult = await executeToolWithName('READ_URL', plan.query, context);
@@ -919,27 +1059,18 @@ async function executeNextStep(plan, context) {
           default:
             retryResult = { success: false, error: `Unknown alternative approach: ${alternative.approach}` };
         }
+        if (context.signal) context.signal.throwIfAborted();
         
         // Record the success of the alternative approach
         plan.stateManager.recordSuccess(taskId, retryResult);
         
-        // Update the plan with results from this step
-        const updatedResults = [...plan.results, { 
-          step: currentStep, 
-          result: retryResult,
-          alternative: alternative.approach
-        }];
-        
         return {
-          ...plan,
-          results: updatedResults,
-          currentStepIndex: plan.currentStepIndex + 1,
-          completed: plan.currentStepIndex + 1 >= plan.steps.length,
-          lastStepSuccessful: true,
-          usedAlternative: true
+          state: TASK_STATES.COMPLETED,
+          entry: { step: currentStep, result: retryResult, alternative: alternative.approach }
         };
         
       } catch (retryError) {
+        if (context.signal && context.signal.aborted) throw retryError;
         // Record the failure of the alternative approach
         plan.stateManager.recordFailure(taskId, alternative.approach, retryError);
       }
@@ -950,27 +1081,119 @@ async function executeNextStep(plan, context) {
       logger.info(`Skipping optional step ${currentStep.type} due to error`);
       
       plan.stateManager.updateTaskState(taskId, TASK_STATES.SKIPPED);
-      
-      return {
-        ...plan,
-        currentStepIndex: plan.currentStepIndex + 1,
-        completed: plan.currentStepIndex + 1 >= plan.steps.length,
-        lastStepSuccessful: false,
-        skippedStep: true
-      };
+      return { state: TASK_STATES.SKIPPED };
     }
     
     // If we reach here, both the main approach and alternative failed
-    return {
-      ...plan,
-      error: error.message,
-      currentStepIndex: plan.currentStepIndex + 1, // Move to next step anyway
-      completed: plan.currentStepIndex + 1 >= plan.steps.length,
-      lastStepSuccessful: false
-    };
+    return { state: TASK_STATES.FAILED, error: error.message };
   }
 }
 
+/**
+ * Execute a plan as a DAG: every task whose dependencies have settled (completed,
+ * failed or skipped) is started, with at most `concurrency` tasks running at once.
+ * Results are appended to plan.results in completion order and recorded in
+ * plan.stateManager. The plan is updated in place.
+ * @param {Object} plan - Plan from planQueryExecution
+ * @param {Object} context - Execution context (context.signal stops scheduling new tasks)
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=3] - Maximum number of tasks running at once
+ * @param {number} [options.maxTasks=20] - Maximum number of tasks to start, including fixing steps
+ * @param {Function} [options.stopWhen] - Called with each new results entry; returning true
+ *   stops scheduling further tasks (running ones are awaited)
+ * @returns {Promise<Object>} The plan, with `completed` set once no task is left pending.
+ *   Rejects with the abort reason once context.signal is aborted; interrupted tasks are
+ *   left in progress for restorePlan
+ */
+async function executePlan(plan, context, options = {}) {
+  const { concurrency = 3, maxTasks = 20, stopWhen } = options;
+  const limit = Math.max(1, concurrency);
+  const stateManager = plan.stateManager;
+  const running = new Map();
+  let started = 0;
+  let stopped = false;
+  // Error of a task that threw (runTask only throws once the run is cancelled)
+  let interrupted = null;
+  
+  const taskIdOf = (step, index) => step.id || `task-${index}`;
+  const stateOf = taskId => (stateManager.tasks.get(taskId) || {}).state;
+  const isSettled = taskId => [TASK_STATES.COMPLETED, TASK_STATES.FAILED, TASK_STATES.SKIPPED].includes(stateOf(taskId));
+  const pendingSteps = () => plan.steps
+    .map((step, index) => ({ step, taskId: taskIdOf(step, index) }))
+    .filter(({ taskId }) => stateOf(taskId) === TASK_STATES.PENDING && !running.has(taskId));
+  // Dependencies on tasks that are not part of the plan are ignored, as in sortTasksByDependencies
+  const isReady = step => (step.dependencies || []).every(depId =>
+    !plan.steps.some((s, i) => taskIdOf(s, i) === depId) || isSettled(depId));
+  
+  function start(step, taskId) {
+    started++;
+    logTaskExecution(plan, taskId);
+    const run = runTask(plan, step, taskId, context).then(outcome => {
+      if (outcome.state === TASK_STATES.COMPLETED) {
+        plan.results.push(outcome.entry);
+        if (typeof stopWhen === 'function' && stopWhen(outcome.entry)) stopped = true;
+      } else if (outcome.state === TASK_STATES.FAILED) {
+        plan.error = outcome.error;
+      }
+    }, error => {
+      // The other running tasks are still awaited before the error is rethrown
+      interrupted = interrupted || error;
+    }).finally(() => running.delete(taskId));
+    running.set(taskId, run);
+  }
+  
+  while (true) {
+    const cancelled = (context.signal && context.signal.aborted) || interrupted;
+    if (!stopped && !cancelled && started < maxTasks) {
+      const pending = pendingSteps();
+      let ready = pending.filter(({ step }) => isReady(step));
+      // Nothing can become ready (dependency cycle): break it by starting the first pending task
+      if (ready.length === 0 && running.size === 0 && pending.length > 0) {
+        logger.warn(`Dependency cycle among pending tasks, starting ${pending[0].taskId}`);
+        ready = [pending[0]];
+      }
+      
+      for (const { step, taskId } of ready) {
+        if (running.size >= limit || started >= maxTasks) break;
+        
+        // Same input validation as executeNextStep; a fixing step becomes a new dependency
+        const validationResult = validateStepInputs(step, plan);
+        if (!validationResult.valid) {
+          logger.warn(`Cannot execute step ${step.type}: ${validationResult.reason}`);
+          const fixStep = validationResult.fixable && createFixingStep(step, validationResult);
+          if (fixStep && !plan.steps.some(s => s.id === fixStep.id)) {
+            logger.info(`Inserting fixing step: ${fixStep.type} before ${step.type}`);
+            plan.steps.splice(plan.steps.indexOf(step), 0, fixStep);
+            step.dependencies = [...(step.dependencies || []), fixStep.id];
+            stateManager.initializePlan(plan);
+          } else {
+            stateManager.updateTaskState(taskId, TASK_STATES.SKIPPED);
+          }
+          continue;
+        }
+        
+        start(step, taskId);
+      }
+    }
+    
+    if (running.size === 0) {
+      // Validation may have skipped tasks or inserted fixing steps; schedule again
+      const canContinue = !stopped && !interrupted && !(context.signal && context.signal.aborted) && started < maxTasks;
+      if (canContinue && pendingSteps().length > 0) continue;
+      break;
+    }
+    // Wait for any running task to finish before scheduling again
+    await Promise.race(running.values());
+  }
+  
+  if (context.signal) context.signal.throwIfAborted();
+  if (interrupted) throw interrupted;
+  plan.currentStepIndex = plan.steps.length;
+  plan.completed = pendingSteps().length === 0;
+  logger.info(`Plan execution finished: ${JSON.stringify(stateManager.getTaskStatus())}`);
+  return plan;
+}
+
 /**
  * Validate if a step has all required inputs
  * @param {Object} step - The step to validate
@@ -1151,7 +1374,7 @@ async function executeDirectSynthesis(query, context) {
     }
     
     // Use LLM to synthesize a response
-    const model = context.genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+    const model = context.genAI.getGenerativeModel({ role: "summarization" });
     
     const prompt = `
 Based on the limited information available, create a response that addresses the user's query as best as possible.
@@ -1169,7 +1392,7 @@ Please provide:
 Keep your response concise and helpful.
 `;
 
-    const result = await model.generateContent(prompt);
+    const result = await model.generateContent(prompt, { signal: context.signal });
     const response = await result.response.text();
     
     return {
@@ -1182,8 +1405,9 @@ Keep your response concise and helpful.
   }
 }
 
-// Utility for executing a specific tool by name
-async function executeToolWithName(toolName, query, context) {
+// Utility for executing a specific tool by name; WEB_SEARCH takes the planned
+// task's searchParams, when there are any
+async function executeToolWithName(toolName, query, context, step) {
   try {
     const toolFn = require('../tools')[toolName];
     if (!toolFn) {
@@ -1199,7 +1423,7 @@ async function executeToolWithName(toolName, query, context) {
         params = { problem: query };
         break;
       case 'WEB_SEARCH':
-        params = { query };
+        params = { query, ...(step && step.searchParams) };
         break;
       case 'READ_URL':
         params = { url: query };
@@ -1221,10 +1445,12 @@ async function executeToolWithName(toolName, query, context) {
 
 // Step execution functions
 
-// Execute memory check step
-async function executeMemoryCheck(query, facts) {
-  const memoryManager = require('../memory/memory_manager');
-  const result = await memoryManager.checkMemoryForAnswer(query, global.genAI);
+// Execute memory check step against the run's memory scope (context.memory)
+async function executeMemoryCheck(query, context) {
+  if (!context.memory) {
+    return { success: false, missingInformation: 'No memory available for this run' };
+  }
+  const result = await context.memory.checkMemoryForAnswer(query, context.genAI, { signal: context.signal });
   return {
     success: result.found,
     answer: result.answer,
@@ -1238,7 +1464,7 @@ async function executeIntentClassification(query, context) {
   const intentClassifier = require('./intent_classifier');
   const classification = await intentClassifier.classifyIntent(
     query,
-    { historyContext: context.historyContext, facts: context.facts },
+    { historyContext: context.historyContext, facts: context.facts, signal: context.signal },
     context.genAI
   );
   context.intentClassification = classification;
@@ -1259,7 +1485,8 @@ async function executeToolSelection(query, context, priorities) {
     context.facts,
     context.historyContext,
     context.toolHistory,
-    context.genAI
+    context.genAI,
+    { signal: context.signal }
   );
   context.selectedTool = decision.tool;
   context.additionalToolParams = decision.parameters || {};
@@ -1271,6 +1498,23 @@ async function executeToolSelection(query, context, priorities) {
   };
 }
 
+// Read the search hits, condense each page to notes and answer from the numbered
+// notes the way the linear pipeline does; sources are the notes the answer cites
+async function synthesizeFromSearchResults(query, hits, context) {
+  const { readSearchHits, summarizeSources, citedSources } = require('../searchReader');
+  const sources = await readSearchHits(hits, { context });
+  if (context.toolHistory) context.toolHistory.url_reads.push(...sources.map(s => s.url));
+  const notes = await summarizeSources(sources, query, { signal: context.signal });
+  const model = context.genAI.getGenerativeModel({ role: "summarization" });
+  const prompt = `Summarize these web results for the query "${query}".
+Cite the results you use by their number in square brackets right after the statement they support, e.g. [1] or [2][3]. Do not add a list of sources at the end.
+
+${notes.map((s, i) => `[${i + 1}] Title: ${s.title}\nURL: ${s.url}\nSnippet: ${s.snippet}\nNotes: ${s.notes}`).join("\n\n")}`;
+  const result = await model.generateContent(prompt, { signal: context.signal });
+  const response = (await result.response.text()).trim();
+  return { success: true, response, sources: citedSources(response, notes) };
+}
+
 // Execute synthesis step
 async function executeSynthesis(query, results, context) {
   // If the information gathering step used REASONING_TOOL, assemble a structured report
@@ -1295,14 +1539,8 @@ async function executeSynthesis(query, results, context) {
   if (infoStep && infoStep.result.toolResult) {
     const tr = infoStep.result.toolResult;
     // Web search results
-    if (Array.isArray(tr.results)) {
-      const hits = tr.results;
-      const summaryLines = hits.map((item, idx) => {
-        const title = item.title || item.snippet || item.url;
-        return `${idx+1}. ${title} (${item.url})`;
-      });
-      const summary = summaryLines.join('\n');
-      return { success: true, response: `I found the following top results for "${query}":\n${summary}` };
+    if (Array.isArray(tr.results) && tr.results.length > 0) {
+      return synthesizeFromSearchResults(query, tr.results, context);
     }
     // READ_URL content
     if (tr.content) {
@@ -1317,7 +1555,7 @@ async function executeSynthesis(query, results, context) {
 async function executeVerification(query, results, context) {
   const synth = results.find(r => r.step.type === 'SYNTHESIS');
   if (synth && synth.result && synth.result.response) {
-    return { success: true, response: synth.result.response };
+    return { success: true, response: synth.result.response, sources: synth.result.sources };
   }
   return { success: false, error: 'No synthesis result available for verification' };
 }
@@ -1325,7 +1563,7 @@ async function executeVerification(query, results, context) {
 /**
  * Execute information gathering step with improved URL handling
  */
-async function executeInformationGathering(query, context) {
+async function executeInformationGathering(query, context, step) {
   try {
     // Get the selected tool from previous results
     let selectedTool = 'WEB_SEARCH'; // Default
@@ -1382,7 +1620,7 @@ async function executeInformationGathering(query, context) {
     if (selectedTool === 'REASONING_TOOL') {
       toolParams = { problem: query };
     } else if (selectedTool === 'WEB_SEARCH') {
-      toolParams = { query };
+      toolParams = { query, ...(step && step.searchParams) };
     } else {
       toolParams = { query };
     }
@@ -1405,9 +1643,72 @@ async function executeInformationGathering(query, context) {
   }
 }
 
+/**
+ * Rebuild a plan from its persisted form so it can continue from its last
+ * checkpoint. Tasks that were running when the checkpoint was taken go back to
+ * pending; completed tasks keep their results.
+ * @param {Object} stored - { id, query, steps, checkpoints } as persisted by the caller
+ *   (checkpoints from ReasoningStateManager.serializeCheckpoints)
+ * @param {Object} [options] - Passed to the plan's ReasoningStateManager (e.g. onTransition)
+ * @returns {Object} Plan ready for executePlan
+ */
+function restorePlan(stored, options = {}) {
+  const stateManager = new ReasoningStateManager(options);
+  const plan = {
+    id: stored.id,
+    query: stored.query,
+    steps: stored.steps,
+    currentStepIndex: 0,
+    results: [],
+    startTime: Date.now(),
+    stateManager,
+    resumed: true
+  };
+  
+  stateManager.loadCheckpoints(stored.checkpoints || []);
+  const last = stateManager.checkpoints[stateManager.checkpoints.length - 1];
+  stateManager.initializePlan(plan);
+  if (last) stateManager.restoreCheckpoint(last.name);
+  
+  stateManager.tasks.forEach((task, taskId) => {
+    if (task.state === TASK_STATES.IN_PROGRESS) {
+      stateManager.updateTaskState(taskId, TASK_STATES.PENDING);
+    }
+  });
+  
+  // Results are kept in completion order by the state manager
+  const stepsById = new Map(plan.steps.map((step, index) => [step.id || `task-${index}`, step]));
+  stateManager.results.forEach((result, taskId) => {
+    if (stepsById.has(taskId)) plan.results.push({ step: stepsById.get(taskId), result });
+  });
+  
+  return plan;
+}
+
+/**
+ * Restore the execution context fields that completed steps set while running
+ * (see executeIntentClassification and executeToolSelection).
+ * @param {Object} plan - Restored plan
+ * @param {Object} context - Execution context to update
+ */
+function restorePlanContext(plan, context) {
+  plan.results.forEach(({ step, result }) => {
+    if (!result || !result.success) return;
+    if (step.type === 'INTENT_CLASSIFICATION') {
+      context.intentClassification = { intent: result.intent, confidence: result.confidence };
+    } else if (step.type === 'TOOL_SELECTION') {
+      context.selectedTool = result.selectedTool;
+      context.additionalToolParams = result.parameters || {};
+    }
+  });
+}
+
 module.exports = {
   planQueryExecution,
+  restorePlan,
+  restorePlanContext,
   executeNextStep,
+  executePlan,
   generateReasoningSteps,
   ReasoningStateManager,
   decomposeQuery,
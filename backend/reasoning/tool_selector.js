@@ -21,9 +21,10 @@ const logger = createLogger({
  * @param {Object} history - Chat history context
  * @param {Object} toolHistory - Previously used tools
  * @param {Object} modelProvider - LLM provider
+ * @param {Object} [options] - { signal } to cancel the LLM call
  * @returns {Object} Selected tool and parameters
  */
-async function selectTools(query, intent, facts, history, toolHistory, modelProvider) {
+async function selectTools(query, intent, facts, history, toolHistory, modelProvider, { signal } = {}) {
   try {
     logger.info(`Selecting tools for query: "${query}" with intent: ${intent}`);
     
@@ -76,7 +77,7 @@ async function selectTools(query, intent, facts, history, toolHistory, modelProv
     }
     
     // Use LLM to select the best tool based on intent and query
-    const model = modelProvider.getGenerativeModel({ model: "gemini-1.5-flash" });
+    const model = modelProvider.getGenerativeModel({ role: "selection" });
     
     const toolDescriptions = Object.entries(availableTools)
       .map(([name, tool]) => `${name}: ${tool.description || 'No description available'}`)
@@ -120,7 +121,7 @@ Respond with a JSON object containing your selection:
 }
 `;
 
-    const result = await model.generateContent(prompt);
+    const result = await model.generateContent(prompt, { signal });
     const text = await result.response.text();
     
     // Extract JSON object
@@ -1,5 +1,6 @@
 const genAI = require('./aiClient');
-const memoryManager = require('./memory/memory_manager');
+const { getMemoryManager } = require('./memory/memory_manager');
+const { ANONYMOUS_USER } = require('./auth');
 const toolSelector = require('./toolSelector');
 const toolExecutor = require('./toolExecutor');
 const resultChecker = require('./resultChecker');
@@ -7,15 +8,44 @@ const newQueryGenerator = require('./newQueryGenerator');
 const logger = require('./logger');
 const { runCoT } = require('./coTHelper');
 const { detectMessageIntent } = require('./tools/respond');
+const { readSearchHits, summarizeSources, citedSources } = require('./searchReader');
+const { describeThrottle } = require('./httpClient');
+
+// "I was born in 1990", "I'm born in 1990", "my birth year is 1990"
+const BIRTH_YEAR_STATEMENT = /\b(?:I\s+was|I'?m|I\s+am)\s+born\b[^.?!]{0,30}?\b((?:19|20)\d{2})\b|\bmy\s+(?:birth\s*year|year\s+of\s+birth)\s+(?:is|was)\s+((?:19|20)\d{2})\b/i;
+
+// Birth year from a message in which the user states their own, or null
+function statedBirthYear(text) {
+  if (typeof text !== 'string' || /\?\s*$/.test(text)) return null;
+  const match = text.match(BIRTH_YEAR_STATEMENT);
+  return match ? match[1] || match[2] : null;
+}
 
 /**
  * Runs the full reasoning pipeline for a user query.
  * Returns finalResponse and a log of reasoning steps.
+ * @param {string} userMsg
+ * @param {Array} history - conversation history as [{role, text}, ...]
+ * @param {Function} [onProgress] - called with each reasoning log entry
+ * @param {Object} [options]
+ * @param {Function} [options.onDelta] - receives streamed text of the final summary;
+ *   called with (null, { reset: true }) when a streamed draft is rejected by verification
+ * @param {AbortSignal} [options.signal] - cancels the run; the returned promise rejects with an AbortError
+ * @param {MemoryManager} [options.memory] - the user's memory scope (see getMemoryManager);
+ *   defaults to a throwaway scope of the anonymous user
+ * @returns {Promise<Object>} { finalResponse, reasoningLog, sources? }, where sources are the
+ *   web pages a search-grounded answer cites as [n] ([{ id, title, url, snippet }])
  */
-module.exports = async function runPipeline(userMsg, history = [], onProgress) {
+module.exports = async function runPipeline(userMsg, history = [], onProgress, options = {}) {
+  const { onDelta, signal } = options;
+  const memoryManager = options.memory || await getMemoryManager(ANONYMOUS_USER);
   const reasoningLog = [];
   const toolHistory = { web_searches: [], url_reads: [] };
+  // Normalized URL -> pending or finished page read, so a page is fetched once per run
+  const readCache = new Map();
   let finalResponse = '';
+  // Pages the accepted answer cites
+  let citations = [];
   let satisfied = false;
   let iteration = 0;
   const maxIterations = 5;
@@ -32,8 +62,21 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
     }
   }
 
+  // Stop between steps once the run has been cancelled
+  function checkCancelled() {
+    if (signal) signal.throwIfAborted();
+  }
+
+  // A birth year the user states about themselves is kept in their profile for
+  // later age questions
+  const birthYear = statedBirthYear(userMsg);
+  if (birthYear) {
+    memoryManager.storeFact({ type: 'birthYear', value: birthYear }, 'user');
+    log({ step: 'Stored Fact: birthYear', message: birthYear });
+  }
+
   // 1) Retrieve facts from memory
-  const facts = await memoryManager.getAllFacts();
+  const facts = memoryManager.getAllFacts();
   // Add current date fact
   facts.push({ type: 'current_date', value: new Date().toLocaleDateString() });
   log({ step: '1. Retrieved Chat Facts', message: JSON.stringify(facts) });
@@ -51,13 +94,13 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
     'Decide if the intent is one of greeting, farewell, thanks, age_query, birthyear_query, date_query, search_query, followup or other',
     'Return the chosen intent in the "intent" field'
   ];
-  const intentCoT = await runCoT(userMsg, facts, intentSteps, intentSchema);
+  const intentCoT = await runCoT(userMsg, facts, intentSteps, intentSchema, { signal });
   log({ step: '2b. Intent Classification', message: JSON.stringify(intentCoT.reasoning) });
   let userIntent = intentCoT.intent;
 
   // Branch on classified intent
   if (["greeting","farewell","thanks"].includes(userIntent)) {
-    const resp = await toolExecutor('RESPOND', {}, { userMsg });
+    const resp = await toolExecutor('RESPOND', {}, { userMsg, signal });
     finalResponse = resp.reply;
     log({ step: '2b1. Simple Intent Response', message: finalResponse });
     return { finalResponse, reasoningLog };
@@ -69,7 +112,7 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
       'Retrieve birthYear from memory facts',
       'Compute current year minus birthYear'
     ];
-    const ageCoT = await runCoT(userMsg, facts, ageSteps, ageSchema);
+    const ageCoT = await runCoT(userMsg, facts, ageSteps, ageSchema, { signal });
     log({ step: '2b2. Age Intent Reasoning', message: JSON.stringify(ageCoT.reasoning) });
     finalResponse = `${ageCoT.age}`;
     log({ step: '2b2. Age Response', message: finalResponse });
@@ -81,14 +124,14 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
     const bySteps = [
       'Retrieve birthYear fact from memory'
     ];
-    const byCoT = await runCoT(userMsg, facts, bySteps, bySchema);
+    const byCoT = await runCoT(userMsg, facts, bySteps, bySchema, { signal });
     log({ step: '2b3. BirthYear Intent Reasoning', message: JSON.stringify(byCoT.reasoning) });
     finalResponse = byCoT.birthYear;
     log({ step: '2b3. BirthYear Response', message: finalResponse });
     return { finalResponse, reasoningLog };
   }
   if (userIntent === 'date_query') {
-    const dateRes = await toolExecutor('GET_DATE', {}, { userMsg });
+    const dateRes = await toolExecutor('GET_DATE', {}, { userMsg, signal });
     finalResponse = dateRes.reply;
     log({ step: '2b4. Date Response', message: finalResponse });
     return { finalResponse, reasoningLog };
@@ -105,7 +148,7 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
         'Decide if the user is requesting an expansion of the previous reply'
       ];
       const fuFacts = [{ type: 'lastAgent', value: lastAgent.text }];
-      const fuCoT = await runCoT(userMsg, fuFacts, fuSteps, fuSchema);
+      const fuCoT = await runCoT(userMsg, fuFacts, fuSteps, fuSchema, { signal });
       log({ step: '3. Follow-Up Detection CoT', message: JSON.stringify(fuCoT.reasoning) });
       if (fuCoT.isFollowUp) {
         // Expand the last reply via CoT
@@ -115,7 +158,7 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
           'Provide a more detailed, expanded version'
         ];
         const expFacts = [{ type: 'lastAgent', value: lastAgent.text }];
-        const expCoT = await runCoT('', expFacts, expSteps, expSchema);
+        const expCoT = await runCoT('', expFacts, expSteps, expSchema, { signal });
         log({ step: 'Final Response', message: expCoT.expanded });
         return { finalResponse: expCoT.expanded, reasoningLog };
       }
@@ -129,7 +172,7 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
     'Decide if any fact directly answers the query',
     'If yes, state the answer'
   ];
-  const memCoT = await runCoT(userMsg, facts, memoSteps, memoSchema);
+  const memCoT = await runCoT(userMsg, facts, memoSteps, memoSchema, { signal });
   log({ step: '9. Checked Chat Memory (CoT)', message: JSON.stringify(memCoT.reasoning) });
   if (memCoT.found) {
     log({ step: '9b. Memory Answer', message: memCoT.answer });
@@ -138,15 +181,17 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
 
   // 3) Iterative tool loop
   while (!satisfied && iteration < maxIterations) {
+    checkCancelled();
     // 3a) Chain-of-Thought for tool selection
     log({ step: '10. Choosing Next Tool – CoT Start', message: '' });
     const tsSchema = '{"reasoning":[],"tool":"","params":{}}';
     const tsSteps = [
       'Review user message and conversation context',
       'Weigh against available tools (WEB_SEARCH, READ_URL, GET_DATE, RESPOND)',
-      'Decide which tool best fits'
+      'Decide which tool best fits',
+      'For WEB_SEARCH, put the search terms in params.query and add recency (day|week|month|year), region or sites only when the query needs them'
     ];
-    const tsCoT = await runCoT(userMsg, facts, tsSteps, tsSchema);
+    const tsCoT = await runCoT(userMsg, facts, tsSteps, tsSchema, { signal });
     log({ step: '10a. Tool Selection Reasoning', message: JSON.stringify(tsCoT.reasoning) });
     // 10b. Decide tool based on CoT suggestion or fallback
     log({ step: '10b. CoT Suggests Tool', message: `${tsCoT.tool}` });
@@ -161,24 +206,36 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
       decision = { tool: tsCoT.tool, params: tsCoT.params };
     } else {
       // Otherwise fallback to the standard selector
-      decision = await toolSelector(userMsg, facts, toolHistory, history);
+      decision = await toolSelector(userMsg, facts, toolHistory, history, { signal });
+      checkCancelled();
     }
     log({ step: '11. Selected Tool', message: JSON.stringify(decision) });
 
     // Avoid repeating searches
     if (decision.tool === 'WEB_SEARCH' && toolHistory.web_searches.includes(decision.params.query)) {
-      const newQuery = await newQueryGenerator(userMsg, toolHistory, reasoningLog, iteration + 1);
-      decision = { tool: 'WEB_SEARCH', params: { query: newQuery } };
+      const newQuery = await newQueryGenerator(userMsg, toolHistory, reasoningLog, iteration + 1, { signal });
+      checkCancelled();
+      decision = { tool: 'WEB_SEARCH', params: { ...decision.params, query: newQuery } };
       log({ step: '12. Refined Search Query', message: newQuery });
     }
 
     // Execute the tool
-    const result = await toolExecutor(decision.tool, decision.params, { userMsg, toolHistory, reasoningLog });
+    const result = await toolExecutor(decision.tool, decision.params, { userMsg, toolHistory, reasoningLog, signal });
     log({ step: '13. Received Tool Execution Result', message: JSON.stringify(result).slice(0, 300) });
+    if (result.meta && result.meta.cache) {
+      log({ step: '13. Tool Result Cache', message: `${decision.tool}: ${result.meta.cache}` });
+    }
+    const throttled = result.meta && describeThrottle(result.meta.throttle);
+    if (throttled) {
+      log({ step: '13. Throttling', message: `${decision.tool}: ${throttled}` });
+    }
+    if (result.meta && result.meta.policy) {
+      log({ step: 'URL Policy', message: `${decision.tool} refused (${result.meta.policy.rule}): ${result.meta.policy.message}` });
+    }
     // Debug: log how many results were returned for web searches
     if (decision.tool === 'WEB_SEARCH') {
       const count = result.resultCount ?? (Array.isArray(result.results) ? result.results.length : 0);
-      log({ step: '13a. Web Search Result Count', message: `Found ${count} results for query "${decision.params.query}"` });
+      log({ step: '13a. Web Search Result Count', message: `Found ${count} results for query "${decision.params.query}"${result.provider ? ` via ${result.provider}` : ''}` });
       // Debug: list each URL returned by the search
       if (Array.isArray(result.results) && result.results.length > 0) {
         const urlsList = result.results.map((r, idx) => `${idx+1}. ${r.url}`).join('\n');
@@ -186,37 +243,6 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
       }
     }
 
-    // After listing URLs, use CoT to select and run tools to read and summarize each URL
-    if (decision.tool === 'WEB_SEARCH' && Array.isArray(result.results)) {
-      for (const r of result.results) {
-        const url = r.url;
-        // 13c. URL Tool Selection CoT Start
-        log({ step: '13c. URL Tool Selection CoT Start', message: url });
-        const urlTsSchema = '{"reasoning":[],"tool":"","params":{}}';
-        const urlTsSteps = [
-          'Review the URL and decide which tool to use to retrieve or process it'
-        ];
-        const urlTsCoT = await runCoT(url, facts, urlTsSteps, urlTsSchema);
-        log({ step: '13c. URL Tool Selection CoT', message: JSON.stringify(urlTsCoT.reasoning) });
-        // Determine tool decision for URL (force READ_URL if unclear)
-        let urlDecision = { tool: urlTsCoT.tool, params: urlTsCoT.params };
-        if (urlDecision.tool !== 'READ_URL') {
-          urlDecision = { tool: 'READ_URL', params: { url } };
-          log({ step: '13c1. Forced URL Read Decision', message: JSON.stringify(urlDecision) });
-        }
-        // Execute URL read
-        const readRes = await toolExecutor(urlDecision.tool, urlDecision.params, { userMsg, toolHistory, reasoningLog });
-        log({ step: '13d. URL Read Result', message: JSON.stringify(readRes).slice(0, 300) });
-        // 13e. Summarize URL content relative to user query
-        const contentText = (readRes.result && readRes.result.bodyText) || readRes.result || '';
-        const summaryPrompt = `Summarize the content from ${url} in context of the query "${userMsg}":\n\n${contentText}`;
-        const summaryModel = genAI.getGenerativeModel({ model: "gemma-3-27b-it" });
-        const summaryRes = await summaryModel.generateContent(summaryPrompt);
-        const summaryText = await summaryRes.response.text();
-        log({ step: '13e. URL Summary', message: summaryText.slice(0, 300) });
-      }
-    }
-
     // Bypass CoT for any direct reply from non-search tools
     if (result.reply && decision.tool !== 'WEB_SEARCH') {
       finalResponse = result.reply;
@@ -227,47 +253,68 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
 
     // If we performed a web search, automatically fetch and summarize top hits
     if (decision.tool === 'WEB_SEARCH' && Array.isArray(result.results) && result.results.length > 0) {
-      // Retrieve and validate content for the top 3 search hits
-      const validHits = result.results.slice(0, 3).filter(hit => /^https?:\/\//i.test(hit.url));
-      const sources = [];
-      for (const hit of validHits) {
-        let content = '';
-        try {
-          const readRes = await toolExecutor('READ_URL', { url: hit.url }, { userMsg, toolHistory, reasoningLog });
-          if (readRes.error) {
-            log({ step: 'READ_URL Error', message: `Failed to fetch ${hit.url}: ${readRes.error}` });
-          } else {
-            // Prefer parsed bodyText, else raw result
-            content = (readRes.result && readRes.result.bodyText) || readRes.result || '';
-          }
-        } catch (e) {
-          log({ step: 'READ_URL Exception', message: `Exception fetching ${hit.url}: ${e.message}` });
+      // Read the top hits concurrently; pages already read in this run come from readCache
+      const sources = await readSearchHits(result.results, {
+        readCache,
+        context: { userMsg, toolHistory, reasoningLog, signal }
+      });
+      checkCancelled();
+      const alreadyRead = sources.filter(s => s.alreadyRead).length;
+      const fromCache = sources.filter(s => ['hit', 'revalidated', 'stale'].includes(s.cache)).length;
+      log({ step: '13c. Read Search Hits', message: `Read ${sources.length} pages (${alreadyRead} already read, ${fromCache} from HTTP cache)` });
+      for (const s of sources.filter(s => !s.alreadyRead && describeThrottle(s.throttle))) {
+        log({ step: 'Throttling', message: `${s.url}: ${describeThrottle(s.throttle)}` });
+      }
+      for (const s of sources) {
+        if (s.policy) {
+          log({ step: 'URL Policy', message: `Skipped ${s.url} (${s.policy.rule}): ${s.policy.message}` });
+        } else if (s.error) {
+          log({ step: 'READ_URL Error', message: `Failed to fetch ${s.url}: ${s.error}` });
+        } else {
+          log({ step: '13d. URL Read Result', message: `${s.url} [cache: ${s.cache || 'none'}]: ${s.content.slice(0, 300)}` });
+        }
+      }
+      toolHistory.web_searches.push(decision.params.query);
+      toolHistory.url_reads.push(...sources.filter(s => !s.alreadyRead).map(s => s.url));
+      // Map: condense each page to the notes relevant to the query
+      const notes = await summarizeSources(sources, userMsg, { signal });
+      checkCancelled();
+      for (const s of notes) {
+        log({ step: '13e. URL Summary', message: `${s.url}: ${(s.notes || 'No relevant content').slice(0, 300)}` });
+      }
+      // Reduce: one summary over the per-page notes, citing them by number
+      const summaryPrompt = `Summarize these web results for the query "${userMsg}".
+Cite the results you use by their number in square brackets right after the statement they support, e.g. [1] or [2][3]. Do not add a list of sources at the end.
+
+${notes.map((s, i) => `[${i + 1}] Title: ${s.title}\nURL: ${s.url}\nSnippet: ${s.snippet}\nNotes: ${s.notes}`).join("\n\n")}`;
+      const summaryModel = genAI.getGenerativeModel({ role: "summarization" });
+      // Stream the summary so the client can render the answer as it is generated
+      const summaryStream = await summaryModel.generateContentStream(summaryPrompt, { signal });
+      let summaryText = '';
+      for await (const chunk of summaryStream.stream) {
+        const delta = chunk.text();
+        summaryText += delta;
+        if (typeof onDelta === 'function') {
+          try { onDelta(delta); } catch(e) {}
         }
-        sources.push({ title: hit.title, url: hit.url, snippet: hit.snippet, content });
       }
-      // Summarize the collected sources
-      const summaryPrompt = `Summarize these web results for the query "${userMsg}":\n${sources.map(s => `Title: ${s.title}\nURL: ${s.url}\nSnippet: ${s.snippet}\nContent: ${s.content}`).join("\n\n")}`;
-      const summaryModel = genAI.getGenerativeModel({ model: "gemma-3-27b-it" });
-      const summaryRes = await summaryModel.generateContent(summaryPrompt);
-      const summaryText = await summaryRes.response.text();
       log({ step: '14. Generated Summary from Results', message: summaryText });
       // Verify if the summary satisfies the user's query
-      const summaryCheck = await resultChecker({ reply: summaryText }, userMsg, reasoningLog, iteration+1);
+      const summaryCheck = await resultChecker({ reply: summaryText }, userMsg, reasoningLog, iteration+1, { signal });
+      checkCancelled();
       log({ step: '15. Validated Summary Quality', message: JSON.stringify(summaryCheck) });
       if (summaryCheck.sufficient) {
-        // Try to extract and store birth year from summary for future age queries
-        const birthMatch = summaryText.match(/\b(?:19|20)\d{2}\b/);
-        if (birthMatch) {
-          const year = birthMatch[0];
-          // store as session memory
-          await memoryManager.storeFact({ type: 'birthYear', value: year }, 'session');
-          log({ step: 'Stored Fact: birthYear', message: year });
-        }
         finalResponse = summaryText;
+        citations = citedSources(summaryText, notes);
         log({ step: '17. Final Response Sent', message: finalResponse });
+        log({ step: '17a. Cited Sources', message: citations.map(source => `[${source.id}] ${source.url}`).join('\n') || 'None' });
         satisfied = true;
         break;
       } else {
+        // Discard the streamed draft on the client before the next attempt
+        if (typeof onDelta === 'function') {
+          try { onDelta(null, { reset: true }); } catch(e) {}
+        }
         // If not sufficient, continue to next iteration
         iteration++;
         continue;
@@ -287,7 +334,7 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
       'Decide if it fully answers the user'
     ];
     const outputToValidate = result.reply || result.result || JSON.stringify(result);
-    const rvCoT = await runCoT(outputToValidate, [], rvSteps, rvSchema);
+    const rvCoT = await runCoT(outputToValidate, [], rvSteps, rvSchema, { signal });
     log({ step: '16a. Validation Reasoning', message: JSON.stringify(rvCoT.reasoning) });
     if (rvCoT.sufficient) {
       finalResponse = rvCoT.answer;
@@ -305,5 +352,5 @@ module.exports = async function runPipeline(userMsg, history = [], onProgress) {
     log({ step: 'Final Response', message: finalResponse });
   }
 
-  return { finalResponse, reasoningLog };
+  return { finalResponse, reasoningLog, sources: citations };
 }; 
\ No newline at end of file
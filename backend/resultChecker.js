@@ -6,17 +6,18 @@ const genAI = require("./aiClient");
  * @param {string} userMsg
  * @param {Array} reasoningLog
  * @param {number} attempt
+ * @param {Object} [options] - { signal } to abort the LLM call
  */
-module.exports = async function resultChecker(toolResult, userMsg, reasoningLog, attempt) {
+module.exports = async function resultChecker(toolResult, userMsg, reasoningLog, attempt, { signal } = {}) {
   try {
-    const model = genAI.getGenerativeModel({ model: "gemma-3-27b-it" });
+    const model = genAI.getGenerativeModel({ role: "verification" });
     const prompt = `You are a thoughtful AI. The user asked: "${userMsg}".
 Tool returned: ${JSON.stringify(toolResult)}.
 Here is what I've considered so far: ${JSON.stringify(reasoningLog)}.
 Does this satisfy the user's request? Respond with JSON:
 { "sufficient": true/false, "reasoning": "...", "clarificationNeeded": true/false, "clarificationQuestion": "..." }
 `;
-    const res = await model.generateContent(prompt);
+    const res = await model.generateContent(prompt, { signal });
     const text = await res.response.text();
     const match = text.match(/\{[\s\S]*\}/);
     if (!match) throw new Error("No JSON from resultChecker");
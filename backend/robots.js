@@ -0,0 +1,138 @@
+/* backend/robots.js */
+// robots.txt support for READ_URL (RFC 9309). A host's rules are fetched once and
+// kept for config.robotsTtl seconds.
+const httpClient = require('./httpClient');
+const { requestOptions } = require('./urlPolicy');
+const config = require('./config');
+const logger = require('./logger');
+
+// Product token looked up in User-agent lines; '*' groups apply otherwise
+const USER_AGENT = 'AI-Agent';
+// A robots.txt that cannot be fetched (5xx, network error) blocks the host for this
+// many seconds, then it is tried again
+const UNREACHABLE_TTL = 300;
+const MAX_ROBOTS_BYTES = 512 * 1024;
+
+// origin -> { fetched: Promise of { rules, ttl }, expiresAt }; rules null disallows everything
+const cache = new Map();
+
+/**
+ * Parse robots.txt into the rules that apply to our user agent.
+ * @param {string} text
+ * @returns {Array} [{ allow, pattern }]
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (current && (field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', pattern: value });
+    }
+  }
+  const token = USER_AGENT.toLowerCase();
+  const own = groups.filter(group => group.agents.some(agent => agent !== '*' && token.startsWith(agent)));
+  const chosen = own.length > 0 ? own : groups.filter(group => group.agents.includes('*'));
+  return chosen.flatMap(group => group.rules);
+}
+
+// "*" matches any characters, a trailing "$" anchors the end
+function patternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Whether rules allow a path: the longest matching pattern wins, Allow on a tie.
+ * @param {Array} rules - From parseRobots
+ * @param {string} path - Path and query
+ * @returns {Object|null} The deciding disallow rule, or null when allowed
+ */
+function disallowingRule(rules, path) {
+  let best = null;
+  for (const rule of rules) {
+    if (!patternMatches(rule.pattern, path)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best && !best.allow ? best : null;
+}
+
+// Fetched without a caller's signal: the fetch is shared, and one caller cancelling
+// must not fail the others
+async function fetchRules(origin) {
+  try {
+    const response = await httpClient.get(`${origin}/robots.txt`, {
+      ...requestOptions(),
+      maxContentLength: MAX_ROBOTS_BYTES,
+      responseType: 'text',
+      headers: { 'User-Agent': `Mozilla/5.0 (compatible; ${USER_AGENT}/1.0)` },
+      timeout: 5000,
+      // 4xx means there is no robots.txt
+      validateStatus: status => status < 500
+    });
+    return { rules: response.status < 300 ? parseRobots(String(response.data)) : [], ttl: config.robotsTtl };
+  } catch (error) {
+    logger.warn(`[Robots] ${origin}/robots.txt unreachable, treating the host as disallowed: ${error.message}`);
+    return { rules: null, ttl: UNREACHABLE_TTL };
+  }
+}
+
+// Settles with promise, or rejects as soon as signal aborts
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Check a URL against its host's robots.txt.
+ * @param {string} url
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object|null>} null when the URL may be fetched, else { rule: 'robots', message }
+ */
+async function checkRobots(url, { signal } = {}) {
+  if (!config.respectRobotsTxt) return null;
+  const { origin, pathname, search } = new URL(url);
+  let entry = cache.get(origin);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    // Concurrent checks of one host share the fetch
+    const fetched = fetchRules(origin);
+    entry = { fetched, expiresAt: Infinity };
+    cache.set(origin, entry);
+    fetched.then(({ ttl }) => { entry.expiresAt = Date.now() + ttl * 1000; }, () => cache.delete(origin));
+  }
+  const { rules } = await untilAborted(entry.fetched, signal);
+  if (rules === null) return { rule: 'robots', message: `${origin}/robots.txt could not be fetched` };
+  const rule = disallowingRule(rules, `${pathname}${search}`);
+  return rule ? { rule: 'robots', message: `${origin}/robots.txt disallows ${rule.pattern}` } : null;
+}
+
+module.exports = {
+  checkRobots
+};
@@ -0,0 +1,99 @@
+/* backend/routes/chat.js */
+// REST equivalent of the WebSocket chat: POST /api/chat and a Server-Sent Events variant
+const express = require('express');
+const sessionStore = require('../sessionStore');
+const { PIPELINE_MODES, isValidMode } = require('../pipelines');
+const { runSessionTurn } = require('../chatService');
+const logger = require('../logger');
+const { requireUser } = require('../auth');
+const { abortOnDisconnect, startEventStream } = require('./httpUtils');
+
+const router = express.Router();
+router.use('/chat', requireUser);
+
+/**
+ * Validate a chat request body or query string.
+ * @param {Object} input - { message, history, sessionId, mode }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateChatInput(input) {
+  if (typeof input.message !== 'string' || !input.message.trim()) {
+    return "Field 'message' is required and must be a non-empty string";
+  }
+  if (input.history !== undefined && !sessionStore.isValidHistory(input.history)) {
+    return "Field 'history' must be an array of { role: 'user'|'agent', text: string }";
+  }
+  if (input.sessionId !== undefined && !sessionStore.isValidSessionId(input.sessionId)) {
+    return "Field 'sessionId' must be 1-64 characters of letters, digits, '_' or '-'";
+  }
+  if (input.mode !== undefined && !isValidMode(input.mode)) {
+    return `Field 'mode' must be one of: ${PIPELINE_MODES.join(', ')}`;
+  }
+  return null;
+}
+
+// POST /api/chat  { message, history?, sessionId?, mode? } -> { finalResponse, reasoningLog, sources, sessionId }
+router.post('/chat', async (req, res) => {
+  const input = req.body || {};
+  const validationError = validateChatInput(input);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const controller = abortOnDisconnect(res);
+  try {
+    const result = await runSessionTurn({ ...input, userId: req.userId }, { signal: controller.signal });
+    res.json(result);
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    // Another user's session, or one deleted while the turn ran
+    if (err.code === 'ESESSIONOWNER' || err.code === 'ESESSIONDELETED') {
+      return res.status(404).json({ error: err.message });
+    }
+    logger.error(`[API] Pipeline error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Server-Sent Events: POST with a JSON body, or GET with query params for EventSource clients.
+// Events: progress (log entry), delta, stream_reset, response, error
+async function streamChat(req, res) {
+  const input = req.method === 'GET' ? { ...req.query } : (req.body || {});
+  const validationError = validateChatInput(input);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  // Checked before the stream starts, while a status can still be sent
+  if (input.sessionId !== undefined && await sessionStore.isOtherUsersSession(input.sessionId, req.userId)) {
+    return res.status(404).json({ error: `Session '${input.sessionId}' not found` });
+  }
+
+  startEventStream(res);
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const controller = abortOnDisconnect(res);
+  try {
+    const result = await runSessionTurn({ ...input, userId: req.userId }, {
+      signal: controller.signal,
+      onProgress: entry => sendEvent('progress', entry),
+      onDelta: (delta, { reset } = {}) => {
+        if (reset) {
+          sendEvent('stream_reset', {});
+        } else {
+          sendEvent('delta', { delta });
+        }
+      }
+    });
+    sendEvent('response', result);
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    logger.error(`[API] Pipeline error: ${err.message}`);
+    sendEvent('error', { error: err.message });
+  }
+  res.end();
+}
+router.post('/chat/stream', streamChat);
+router.get('/chat/stream', streamChat);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/* backend/routes/httpUtils.js */
+// Small helpers shared by the HTTP route modules
+
+/**
+ * Abort controller that fires when the HTTP client disconnects before the response ended.
+ * @param {Object} res - Express response
+ * @returns {AbortController}
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller;
+}
+
+/**
+ * Switch a response to Server-Sent Events.
+ * @param {Object} res - Express response
+ */
+function startEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+}
+
+module.exports = {
+  abortOnDisconnect,
+  startEventStream
+};
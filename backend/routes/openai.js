@@ -0,0 +1,170 @@
+/* backend/routes/openai.js */
+// OpenAI-compatible facade: POST /v1/chat/completions and GET /v1/models.
+// Stateless like the OpenAI API: the conversation comes entirely from `messages`.
+const crypto = require('crypto');
+const express = require('express');
+const { runPipeline } = require('../pipelines');
+const logger = require('../logger');
+const { authenticate } = require('../auth');
+const { getMemoryManager } = require('../memory/memory_manager');
+const { abortOnDisconnect, startEventStream } = require('./httpUtils');
+
+const router = express.Router();
+const AGENT_MODEL_ID = 'ai-agent';
+// Model IDs select the pipeline mode; the plain ID uses the configured default (PIPELINE_MODE)
+const MODEL_MODES = {
+  [AGENT_MODEL_ID]: undefined,
+  [`${AGENT_MODEL_ID}-linear`]: 'linear',
+  [`${AGENT_MODEL_ID}-planner`]: 'planner'
+};
+
+// OpenAI-style error body
+function sendError(res, status, message, param = null, type = 'invalid_request_error') {
+  res.status(status).json({
+    error: { message, type, param, code: null }
+  });
+}
+
+// OpenAI SDKs send their API key as a bearer token, so AUTH_TOKENS entries work as keys
+router.use((req, res, next) => {
+  const userId = authenticate(req);
+  if (!userId) {
+    return sendError(res, 401, 'Invalid API key', null, 'authentication_error');
+  }
+  req.userId = userId;
+  next();
+});
+
+// Message content may be a string or an array of content parts
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Map OpenAI messages to the pipeline's (userMsg, history).
+ * The last user message becomes userMsg; earlier user/assistant turns become history.
+ * System and tool messages have no equivalent in the pipeline and are dropped.
+ * @param {Array} messages - OpenAI chat messages
+ * @returns {Object} { userMsg, history } or { error }
+ */
+function mapMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: "'messages' must be a non-empty array" };
+  }
+  const turns = messages
+    .filter(m => m && (m.role === 'user' || m.role === 'assistant'))
+    .map(m => ({ role: m.role === 'user' ? 'user' : 'agent', text: contentToText(m.content) }));
+  const last = turns[turns.length - 1];
+  if (!last || last.role !== 'user' || !last.text.trim()) {
+    return { error: "The last message must be a non-empty 'user' message" };
+  }
+  return { userMsg: last.text, history: turns.slice(0, -1) };
+}
+
+router.get('/models', (req, res) => {
+  res.json({
+    object: 'list',
+    data: Object.keys(MODEL_MODES).map(id => ({ id, object: 'model', created: 0, owned_by: 'ai-agent' }))
+  });
+});
+
+router.post('/chat/completions', async (req, res) => {
+  const body = req.body || {};
+  const mapped = mapMessages(body.messages);
+  if (mapped.error) {
+    return sendError(res, 400, mapped.error, 'messages');
+  }
+
+  const id = `chatcmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const model = body.model || AGENT_MODEL_ID;
+  // Unknown model names (e.g. a client's default) run the configured mode
+  const mode = MODEL_MODES[model];
+  const controller = abortOnDisconnect(res);
+  // Stateless: session facts last for this request only, the user's profile facts persist
+  const memory = await getMemoryManager(req.userId);
+
+  if (!body.stream) {
+    try {
+      const { finalResponse, reasoningLog } = await runPipeline(mapped.userMsg, mapped.history, null, { signal: controller.signal, memory, mode });
+      res.json({
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: finalResponse },
+          finish_reason: 'stop'
+        }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        // Extension: the agent's reasoning steps
+        reasoning_log: reasoningLog
+      });
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      logger.error(`[OpenAI API] Pipeline error: ${err.message}`);
+      res.status(500).json({ error: { message: err.message, type: 'server_error', param: null, code: null } });
+    }
+    return;
+  }
+
+  // Streaming: chat.completion.chunk events terminated by "data: [DONE]"
+  startEventStream(res);
+  const sendChunk = (delta, finishReason = null, extra = {}) => {
+    const chunk = {
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+      ...extra
+    };
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  };
+
+  sendChunk({ role: 'assistant' });
+  // Text already delivered; OpenAI clients cannot retract it, so a rejected draft
+  // (stream_reset) is followed by the final answer instead of being replaced
+  let delivered = '';
+  let draftRejected = false;
+  try {
+    const { finalResponse, reasoningLog } = await runPipeline(mapped.userMsg, mapped.history, null, {
+      signal: controller.signal,
+      memory,
+      mode,
+      onDelta: (delta, { reset } = {}) => {
+        if (reset) {
+          draftRejected = delivered.length > 0;
+          return;
+        }
+        if (draftRejected) {
+          delta = `\n\n${delta}`;
+          draftRejected = false;
+        }
+        delivered += delta;
+        sendChunk({ content: delta });
+      }
+    });
+    // Answers that were not streamed (memory hits, direct replies...) arrive in one piece
+    if (!delivered.endsWith(finalResponse)) {
+      sendChunk({ content: delivered ? `\n\n${finalResponse}` : finalResponse });
+    }
+    sendChunk({}, 'stop', { reasoning_log: reasoningLog });
+    res.write('data: [DONE]\n\n');
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    logger.error(`[OpenAI API] Pipeline error: ${err.message}`);
+    res.write(`data: ${JSON.stringify({ error: { message: err.message, type: 'server_error', param: null, code: null } })}\n\n`);
+  }
+  res.end();
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+/* backend/routes/plans.js */
+// Interrupted planner runs: list, resume and discard
+const express = require('express');
+const planStore = require('../planStore');
+const { resumePlan } = require('../chatService');
+const logger = require('../logger');
+const { requireUser } = require('../auth');
+const { abortOnDisconnect } = require('./httpUtils');
+
+const router = express.Router();
+// Users only ever see their own plans
+router.use('/plans', requireUser);
+
+// GET /api/plans -> { plans: [{ id, sessionId, query, status, progress, createdAt, updatedAt }] }
+router.get('/plans', async (req, res) => {
+  try {
+    res.json({ plans: await planStore.listInterruptedPlans(req.userId) });
+  } catch (err) {
+    logger.error(`[API] Error listing plans: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/plans/:id/resume -> { finalResponse, reasoningLog, sources, sessionId, planId }
+router.post('/plans/:id/resume', async (req, res) => {
+  if (planStore.isActive(req.params.id)) {
+    return res.status(409).json({ error: 'Plan is already running' });
+  }
+  const controller = abortOnDisconnect(res);
+  try {
+    const result = await resumePlan({ planId: req.params.id, userId: req.userId }, { signal: controller.signal });
+    if (!result) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    res.json(result);
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    // Another request started the same plan after the check above
+    if (err.code === 'EPLANRUNNING') {
+      return res.status(409).json({ error: 'Plan is already running' });
+    }
+    logger.error(`[API] Error resuming plan ${req.params.id}: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/plans/:id
+router.delete('/plans/:id', async (req, res) => {
+  if (planStore.isActive(req.params.id)) {
+    return res.status(409).json({ error: 'Plan is running' });
+  }
+  try {
+    const stored = await planStore.getPlan(req.params.id, req.userId);
+    if (!stored) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    await planStore.deletePlan(stored.id);
+    res.sendStatus(204);
+  } catch (err) {
+    logger.error(`[API] Error deleting plan ${req.params.id}: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/* backend/routes/sessions.js */
+// Conversation store endpoints: list, get and delete stored sessions
+const express = require('express');
+const sessionStore = require('../sessionStore');
+const logger = require('../logger');
+const { requireUser } = require('../auth');
+
+const router = express.Router();
+// Users only ever see their own sessions
+router.use('/sessions', requireUser);
+
+// GET /api/sessions -> [{ id, title, turnCount, createdAt, updatedAt }]
+router.get('/sessions', async (req, res) => {
+  try {
+    res.json({ sessions: await sessionStore.listSessions(req.userId) });
+  } catch (err) {
+    logger.error(`[API] Error listing sessions: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/sessions/:id -> { id, title, history, createdAt, updatedAt }
+router.get('/sessions/:id', async (req, res) => {
+  const session = await sessionStore.getSession(req.params.id, req.userId);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json(session);
+});
+
+// DELETE /api/sessions/:id
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const deleted = await sessionStore.deleteSession(req.params.id, req.userId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.sendStatus(204);
+  } catch (err) {
+    logger.error(`[API] Error deleting session ${req.params.id}: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+/* backend/searchOptions.js */
+// WEB_SEARCH parameters shared by the search providers: paging, region,
+// safe-search, recency and site filters
+const { URL } = require('url');
+
+const SAFE_SEARCH_LEVELS = ['strict', 'moderate', 'off'];
+const RECENCY_RANGES = ['day', 'week', 'month', 'year'];
+const DEFAULT_COUNT = 5;
+const MAX_COUNT = 20;
+
+// "a.com, b.com" or ["a.com"] -> ['a.com', 'b.com'], without scheme, path or www.
+function parseSites(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list
+    .map(site => String(site).trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/\/.*$/, ''))
+    .filter(Boolean);
+}
+
+// Accepts DuckDuckGo style "us-en" and locale style "en-US" / "en_US"
+function parseRegion(value) {
+  const match = String(value).trim().match(/^([a-z]{2})[-_]([a-z]{2})$/i);
+  if (!match) return null;
+  const [first, second] = [match[1].toLowerCase(), match[2].toLowerCase()];
+  // Locales put the upper-case country last
+  const localeStyle = match[2] === match[2].toUpperCase() && match[1] === match[1].toLowerCase();
+  return localeStyle ? { language: first, country: second } : { country: first, language: second };
+}
+
+function toPositiveInt(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Validate and normalize the optional WEB_SEARCH parameters.
+ * @param {Object} params - Tool parameters
+ * @param {number} [params.page] - 1-based result page
+ * @param {number} [params.offset] - Results to skip; overrides page
+ * @param {number} [params.count] - Results per page (default 5, at most 20)
+ * @param {string} [params.region] - "us-en" (DuckDuckGo kl) or "en-US"
+ * @param {string} [params.safeSearch] - strict, moderate or off
+ * @param {string} [params.recency] - day, week, month or year
+ * @param {string|Array} [params.sites] - only return results from these domains
+ * @param {string|Array} [params.excludeSites] - drop results from these domains
+ * @returns {Object} { options } or { error }, where options has offset, count,
+ *   region ({ country, language } or null), safeSearch, recency, sites and excludeSites
+ */
+function normalizeSearchOptions(params = {}) {
+  const count = Math.min(toPositiveInt(params.count) || DEFAULT_COUNT, MAX_COUNT);
+  const page = toPositiveInt(params.page) || 1;
+  const offset = params.offset !== undefined && params.offset !== null && params.offset !== ''
+    ? Math.max(0, parseInt(params.offset, 10) || 0)
+    : (page - 1) * count;
+
+  let region = null;
+  if (params.region) {
+    region = parseRegion(params.region);
+    if (!region) return { error: `Invalid region '${params.region}'. Use a country-language pair such as "us-en" or "en-US".` };
+  }
+
+  const safeSearch = params.safeSearch ? String(params.safeSearch).toLowerCase() : null;
+  if (safeSearch && !SAFE_SEARCH_LEVELS.includes(safeSearch)) {
+    return { error: `Invalid safeSearch '${params.safeSearch}'. Use one of: ${SAFE_SEARCH_LEVELS.join(', ')}.` };
+  }
+
+  const recency = params.recency ? String(params.recency).toLowerCase() : null;
+  if (recency && !RECENCY_RANGES.includes(recency)) {
+    return { error: `Invalid recency '${params.recency}'. Use one of: ${RECENCY_RANGES.join(', ')}.` };
+  }
+
+  return {
+    options: {
+      offset,
+      count,
+      region,
+      safeSearch,
+      recency,
+      sites: parseSites(params.sites),
+      excludeSites: parseSites(params.excludeSites)
+    }
+  };
+}
+
+/**
+ * Add site: operators for the site filters to a query; every provider understands them.
+ * @param {string} query
+ * @param {Object} options - Output of normalizeSearchOptions
+ * @returns {string}
+ */
+function applySiteOperators(query, { sites = [], excludeSites = [] }) {
+  const include = sites.map(site => `site:${site}`).join(' OR ');
+  const exclude = excludeSites.map(site => `-site:${site}`).join(' ');
+  return [query, include && (sites.length > 1 ? `(${include})` : include), exclude].filter(Boolean).join(' ');
+}
+
+/**
+ * Whether a result URL passes the site filters (subdomains match their parent domain).
+ * @param {string} url
+ * @param {Object} options - Output of normalizeSearchOptions
+ * @returns {boolean}
+ */
+function matchesSiteFilters(url, { sites = [], excludeSites = [] }) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return sites.length === 0;
+  }
+  const onSite = site => host === site || host.endsWith(`.${site}`);
+  if (excludeSites.some(onSite)) return false;
+  return sites.length === 0 || sites.some(onSite);
+}
+
+module.exports = {
+  SAFE_SEARCH_LEVELS,
+  RECENCY_RANGES,
+  normalizeSearchOptions,
+  applySiteOperators,
+  matchesSiteFilters
+};
@@ -0,0 +1,56 @@
+/* backend/searchProviders/bing.js */
+const { cachedGet } = require("../httpCache");
+
+const SAFE_SEARCH = { strict: 'Strict', moderate: 'Moderate', off: 'Off' };
+
+// Bing freshness: Day, Week, Month, or a date range for the past year
+function freshnessOf(recency) {
+  if (recency !== 'year') return recency.charAt(0).toUpperCase() + recency.slice(1);
+  const today = new Date();
+  const yearAgo = new Date(today);
+  yearAgo.setFullYear(today.getFullYear() - 1);
+  return `${yearAgo.toISOString().slice(0, 10)}..${today.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Bing Web Search API (v7).
+ */
+module.exports = {
+  name: "bing",
+  description: "Bing Web Search API (BING_SEARCH_API_KEY)",
+
+  /**
+   * Create a provider instance
+   * @param {Object} config - Central config (bingApiKey is required)
+   * @returns {Object} Provider with search(query, options, { signal }) resolving to { results, cache, throttle }
+   */
+  create(config) {
+    if (!config.bingApiKey) {
+      throw new Error("BING_SEARCH_API_KEY is not set");
+    }
+    const endpoint = config.bingEndpoint.replace(/\/+$/, '');
+
+    return {
+      name: "bing",
+      async search(query, options, { signal } = {}) {
+        const params = new URLSearchParams({ q: query, count: String(options.count), offset: String(options.offset) });
+        if (options.region) params.set('mkt', `${options.region.language}-${options.region.country.toUpperCase()}`);
+        if (options.safeSearch) params.set('safeSearch', SAFE_SEARCH[options.safeSearch]);
+        if (options.recency) params.set('freshness', freshnessOf(options.recency));
+        const response = await cachedGet(`${endpoint}?${params}`, {
+          headers: { 'Accept': 'application/json', 'Ocp-Apim-Subscription-Key': config.bingApiKey },
+          timeout: config.searchTimeout,
+          signal
+        }, { ttl: config.searchCacheTtl });
+
+        const webPages = response.data && response.data.webPages;
+        const results = ((webPages && webPages.value) || []).map(r => ({
+          title: r.name,
+          url: r.url,
+          snippet: r.snippet || "No description provided"
+        }));
+        return { results, cache: response.cache, throttle: response.throttle };
+      }
+    };
+  }
+};
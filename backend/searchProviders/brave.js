@@ -0,0 +1,60 @@
+/* backend/searchProviders/brave.js */
+const { cachedGet } = require("../httpCache");
+
+// Brave freshness values
+const RECENCY = { day: 'pd', week: 'pw', month: 'pm', year: 'py' };
+
+// Brave marks query terms in descriptions with <strong>
+function stripTags(text) {
+  return (text || '').replace(/<[^>]+>/g, '');
+}
+
+/**
+ * Brave Search web results API.
+ */
+module.exports = {
+  name: "brave",
+  description: "Brave Search API (BRAVE_SEARCH_API_KEY)",
+
+  /**
+   * Create a provider instance
+   * @param {Object} config - Central config (braveApiKey is required)
+   * @returns {Object} Provider with search(query, options, { signal }) resolving to { results, cache, throttle }
+   */
+  create(config) {
+    if (!config.braveApiKey) {
+      throw new Error("BRAVE_SEARCH_API_KEY is not set");
+    }
+
+    return {
+      name: "brave",
+      async search(query, options, { signal } = {}) {
+        // Brave's offset counts pages of `count` results (at most 9)
+        const params = new URLSearchParams({
+          q: query,
+          count: String(options.count),
+          offset: String(Math.min(Math.floor(options.offset / options.count), 9))
+        });
+        if (options.region) {
+          params.set('country', options.region.country);
+          params.set('search_lang', options.region.language);
+        }
+        if (options.safeSearch) params.set('safesearch', options.safeSearch);
+        if (options.recency) params.set('freshness', RECENCY[options.recency]);
+        const response = await cachedGet(`https://api.search.brave.com/res/v1/web/search?${params}`, {
+          headers: { 'Accept': 'application/json', 'X-Subscription-Token': config.braveApiKey },
+          timeout: config.searchTimeout,
+          signal
+        }, { ttl: config.searchCacheTtl });
+
+        const web = response.data && response.data.web;
+        const results = ((web && web.results) || []).map(r => ({
+          title: stripTags(r.title),
+          url: r.url,
+          snippet: stripTags(r.description) || "No description provided"
+        }));
+        return { results, cache: response.cache, throttle: response.throttle };
+      }
+    };
+  }
+};
@@ -0,0 +1,142 @@
+/* backend/searchProviders/duckduckgo.js */
+const cheerio = require("cheerio");
+const { URL } = require("url");
+const { cachedGet } = require("../httpCache");
+
+// DuckDuckGo's bot check ("anomaly") page: a challenge form posting to anomaly.js
+// inside the anomaly modal
+const ANOMALY_SELECTOR = '#challenge-form, form[action*="anomaly"], .anomaly-modal__modal, .anomaly-modal__title';
+
+// Pages that only tell us we were blocked must not be cached. Only the challenge
+// markup counts: words like "robot" or "blocked" appear in real results too.
+function isBlockedPage(html) {
+  const $ = cheerio.load(html);
+  return $('.result, .web-result').length === 0 && $(ANOMALY_SELECTOR).length > 0;
+}
+
+// DuckDuckGo kp / df values for the search options
+const SAFE_SEARCH = { strict: '1', moderate: '-1', off: '-2' };
+const RECENCY = { day: 'd', week: 'w', month: 'm', year: 'y' };
+
+// Scrape the DuckDuckGo HTML endpoint
+async function searchDuckDuckGo(query, options, signal, ttl) {
+  const params = new URLSearchParams({ q: query });
+  if (options.region) params.set('kl', `${options.region.country}-${options.region.language}`);
+  if (options.safeSearch) params.set('kp', SAFE_SEARCH[options.safeSearch]);
+  if (options.recency) params.set('df', RECENCY[options.recency]);
+  if (options.offset) {
+    params.set('s', String(options.offset));
+    params.set('dc', String(options.offset + 1));
+  }
+  const url = `https://html.duckduckgo.com/html/?${params}`;
+  const response = await cachedGet(url, { 
+    headers: { 
+      "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.114 Safari/537.36",
+      "Accept": "text/html,application/xhtml+xml,application/xml",
+      "Accept-Language": "en-US,en;q=0.9"
+    },
+    timeout: 15000,
+    signal
+  }, {
+    ttl,
+    cacheable: res => !isBlockedPage(res.data),
+    // The block page usually goes away after a pause
+    retryOn: res => isBlockedPage(res.data)
+  });
+  
+  const $ = cheerio.load(response.data);
+  let results = [];
+  
+  // Check for the bot challenge
+  if (isBlockedPage(response.data)) {
+    throw new Error("Search engine detected automated access");
+  }
+  
+  // Enhanced result extraction with proper redirect parsing
+  $(".result").each((i, el) => {
+    const title = $(el).find("a.result__a").text().trim();
+    const rawHref = $(el).find("a.result__a").attr("href");
+    let url = rawHref;
+    if (rawHref) {
+      try {
+        const parsedUrl = new URL(rawHref, 'https://html.duckduckgo.com');
+        // If it's a DuckDuckGo redirect, extract 'uddg' or ad redirect 'u3'
+        let target = null;
+        if (parsedUrl.hostname.includes('duckduckgo.com')) {
+          target = parsedUrl.searchParams.get('uddg') || parsedUrl.searchParams.get('u3');
+        }
+        if (target) {
+          url = decodeURIComponent(target);
+        } else if (!parsedUrl.hostname.includes('duckduckgo.com')) {
+          url = parsedUrl.href;
+        }
+      } catch (err) {
+        // Fallback regex for uddg or u3 params
+        const regexMatch = rawHref.match(/[?&](?:uddg|u3)=([^&]+)/);
+        url = regexMatch && regexMatch[1] ? decodeURIComponent(regexMatch[1]) : rawHref;
+      }
+      // Handle Bing ad redirects (e.g., bing.com/aclick?u=...)
+      try {
+        const tmp = new URL(url);
+        if (tmp.hostname.includes('bing.com') && tmp.pathname.startsWith('/aclick')) {
+          const real = tmp.searchParams.get('u');
+          if (real) url = decodeURIComponent(real);
+        }
+      } catch (_) {}
+    }
+    
+    // Extract snippet
+    const snippet = $(el).find(".result__snippet").text().trim();
+    
+    if (title && url) {
+      results.push({ title, url, snippet: snippet || "No description provided" });
+    }
+  });
+  
+  // Filter out any remaining DuckDuckGo or Bing redirect URLs
+  results = results.filter(r => {
+    try {
+      const h = new URL(r.url).hostname;
+      return !h.includes('duckduckgo.com') && !h.includes('bing.com');
+    } catch {
+      return true;
+    }
+  });
+  
+  // If no results from primary selector, try alternative selectors
+  if (results.length === 0) {
+    $(".web-result").each((i, el) => {
+      const title = $(el).find("a.web-result__title").text().trim();
+      let url = $(el).find("a.web-result__title").attr("href");
+      const snippet = $(el).find(".web-result__snippet").text().trim();
+      
+      if (title && url) {
+        results.push({ title, url, snippet: snippet || "No description provided" });
+      }
+    });
+  }
+  
+  return { results, cache: response.cache, throttle: response.throttle };
+}
+
+/**
+ * DuckDuckGo HTML results; needs no API key but may be rate limited or blocked.
+ */
+module.exports = {
+  name: "duckduckgo",
+  description: "Scraped DuckDuckGo HTML results, no API key",
+
+  /**
+   * Create a provider instance
+   * @param {Object} config - Central config
+   * @returns {Object} Provider with search(query, options, { signal }) resolving to { results, cache, throttle }
+   */
+  create(config) {
+    return {
+      name: "duckduckgo",
+      search(query, options, { signal } = {}) {
+        return searchDuckDuckGo(query, options, signal, config.searchCacheTtl);
+      }
+    };
+  }
+};
@@ -0,0 +1,17 @@
+/* backend/searchProviders/index.js */
+// Search providers for WEB_SEARCH, keyed by name (see SEARCH_PROVIDERS)
+const fs = require('fs');
+const path = require('path');
+
+const providers = {};
+
+fs.readdirSync(__dirname).forEach(file => {
+  if (file !== 'index.js' && file.endsWith('.js')) {
+    const provider = require(path.join(__dirname, file));
+    if (provider && provider.name) {
+      providers[provider.name] = provider;
+    }
+  }
+});
+
+module.exports = providers;
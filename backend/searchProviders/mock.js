@@ -0,0 +1,38 @@
+/* backend/searchProviders/mock.js */
+
+/**
+ * Canned results for offline runs and tests. Only available in test mode
+ * (NODE_ENV=test), so fake pages never reach a real conversation.
+ */
+module.exports = {
+  name: "mock",
+  description: "Canned example.com results, test mode only",
+
+  /**
+   * Create a provider instance
+   * @param {Object} config - Central config
+   * @returns {Object} Provider with search(query, options, { signal }) resolving to { results, cache }
+   */
+  create(config) {
+    if (config.environment !== 'test') {
+      throw new Error("the mock search provider is only available with NODE_ENV=test");
+    }
+
+    return {
+      name: "mock",
+      async search(query, options, { signal } = {}) {
+        if (signal) signal.throwIfAborted();
+        // One result per requested slot, numbered by position so paging is visible
+        const results = Array.from({ length: options.count }, (_, i) => {
+          const position = options.offset + i + 1;
+          return {
+            title: `Information about ${query} (${position})`,
+            url: `https://example.com/search?q=${encodeURIComponent(query)}&n=${position}`,
+            snippet: `Mock search result ${position} for ${query}.`
+          };
+        });
+        return { results, cache: 'bypass' };
+      }
+    };
+  }
+};
@@ -0,0 +1,49 @@
+/* backend/searchProviders/searxng.js */
+const { cachedGet } = require("../httpCache");
+
+// SearXNG safesearch levels
+const SAFE_SEARCH = { off: '0', moderate: '1', strict: '2' };
+
+/**
+ * Self-hosted SearXNG metasearch instance. The instance must allow the JSON
+ * output format (search.formats in its settings.yml).
+ */
+module.exports = {
+  name: "searxng",
+  description: "SearXNG JSON API (SEARXNG_URL)",
+
+  /**
+   * Create a provider instance
+   * @param {Object} config - Central config (searxngUrl is required)
+   * @returns {Object} Provider with search(query, options, { signal }) resolving to { results, cache, throttle }
+   */
+  create(config) {
+    if (!config.searxngUrl) {
+      throw new Error("SEARXNG_URL is not set");
+    }
+    const baseUrl = config.searxngUrl.replace(/\/+$/, '');
+
+    return {
+      name: "searxng",
+      async search(query, options, { signal } = {}) {
+        // SearXNG pages have no fixed size; map the offset onto pages of options.count
+        const params = new URLSearchParams({ q: query, format: 'json', pageno: String(Math.floor(options.offset / options.count) + 1) });
+        if (options.region) params.set('language', `${options.region.language}-${options.region.country.toUpperCase()}`);
+        if (options.safeSearch) params.set('safesearch', SAFE_SEARCH[options.safeSearch]);
+        if (options.recency) params.set('time_range', options.recency);
+        const response = await cachedGet(`${baseUrl}/search?${params}`, {
+          headers: { 'Accept': 'application/json' },
+          timeout: config.searchTimeout,
+          signal
+        }, { ttl: config.searchCacheTtl });
+
+        const results = ((response.data && response.data.results) || []).map(r => ({
+          title: r.title,
+          url: r.url,
+          snippet: r.content || "No description provided"
+        }));
+        return { results, cache: response.cache, throttle: response.throttle };
+      }
+    };
+  }
+};
@@ -0,0 +1,159 @@
+/* backend/searchRanking.js */
+// Ranking stage for WEB_SEARCH: BM25 relevance over title and snippet, domain
+// trust weights, and deduplication of mirrors and near-identical results
+const { URL } = require('url');
+const config = require('./config');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// Title terms count this many times, titles being the stronger signal
+const TITLE_WEIGHT = 2;
+// Score given to the engine's own order: POSITION_WEIGHT / (position + 1)
+const POSITION_WEIGHT = 0.5;
+// Titles sharing at least this share of their words are the same result
+const TITLE_SIMILARITY = 0.85;
+
+// Host prefixes of mirrors serving the same page (mobile, AMP)
+const MIRROR_PREFIXES = /^(www|m|mobile|amp)\./;
+// Query parameters that only track the click
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|msclkid|ref|ref_src)$/i;
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * Canonical form of a URL for deduplication: scheme, mirror prefixes, fragments,
+ * tracking parameters, AMP paths and trailing slashes do not distinguish pages.
+ * @param {string} url
+ * @returns {string}
+ */
+function canonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return String(url).trim().toLowerCase();
+  }
+  let host = parsed.hostname.toLowerCase();
+  while (MIRROR_PREFIXES.test(host)) host = host.replace(MIRROR_PREFIXES, '');
+  // en.m.wikipedia.org -> en.wikipedia.org
+  host = host.replace(/\.m\./, '.');
+  const pathname = parsed.pathname.replace(/\/amp\/?$/, '').replace(/\/+$/, '');
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : '';
+  return `${host}${pathname}${query}`;
+}
+
+// Jaccard similarity of two titles' word sets; very short titles ("Home") never match
+function titleSimilarity(a, b) {
+  const wordsA = new Set(tokenize(a));
+  const wordsB = new Set(tokenize(b));
+  if (wordsA.size < 3 || wordsB.size < 3) return 0;
+  let shared = 0;
+  for (const word of wordsA) if (wordsB.has(word)) shared++;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// "wikipedia.org:1.5, pinterest.com:0.2" -> [['wikipedia.org', 1.5], ['pinterest.com', 0.2]]
+function parseDomainWeights(value) {
+  return String(value || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const [domain, weight] = pair.split(':');
+      return [domain.trim().toLowerCase().replace(/^www\./, ''), parseFloat(weight)];
+    })
+    .filter(([domain, weight]) => domain && Number.isFinite(weight) && weight >= 0);
+}
+
+const domainWeights = parseDomainWeights(config.searchDomainWeights);
+
+/**
+ * Trust weight of a result's domain (1 when not listed); subdomains inherit their parent's weight.
+ * @param {string} url
+ * @param {Array} [weights] - [[domain, weight]], defaults to SEARCH_DOMAIN_WEIGHTS
+ * @returns {number}
+ */
+function domainWeight(url, weights = domainWeights) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return 1;
+  }
+  const match = weights
+    .filter(([domain]) => host === domain || host.endsWith(`.${domain}`))
+    .sort((a, b) => b[0].length - a[0].length)[0];
+  return match ? match[1] : 1;
+}
+
+// Okapi BM25 of each document (array of tokens) against the query tokens
+function bm25Scores(queryTokens, documents) {
+  const avgLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1) || 1;
+  const documentFrequency = new Map();
+  for (const doc of documents) {
+    for (const term of new Set(doc)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  const terms = [...new Set(queryTokens)];
+  return documents.map(doc => {
+    const frequency = new Map();
+    for (const term of doc) frequency.set(term, (frequency.get(term) || 0) + 1);
+    return terms.reduce((score, term) => {
+      const tf = frequency.get(term) || 0;
+      if (tf === 0) return score;
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+      return score + idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+    }, 0);
+  });
+}
+
+/**
+ * Score, sort and deduplicate search results. Duplicates (same canonical URL or a
+ * near-identical title) keep only their best-scored entry. Domains weighted 0 are dropped.
+ * @param {Array} results - [{ title, url, snippet }] in the engine's order
+ * @param {string} query - The search terms
+ * @param {Object} [options] - { weights } to override SEARCH_DOMAIN_WEIGHTS
+ * @returns {Array} Results, best first, each with a numeric `score`
+ */
+function rankResults(results, query, { weights = domainWeights } = {}) {
+  const queryTokens = tokenize(query);
+  const documents = results.map(result => {
+    const titleTokens = tokenize(result.title);
+    return [].concat(...Array(TITLE_WEIGHT).fill(titleTokens), tokenize(result.snippet));
+  });
+  const relevance = bm25Scores(queryTokens, documents);
+
+  const scored = results
+    .map((result, position) => {
+      const weight = domainWeight(result.url, weights);
+      const score = (relevance[position] + POSITION_WEIGHT / (position + 1)) * weight;
+      return { ...result, score: Math.round(score * 1000) / 1000, weight, position };
+    })
+    .filter(result => result.weight > 0)
+    .sort((a, b) => b.score - a.score || a.position - b.position);
+
+  const seenUrls = new Set();
+  const kept = [];
+  for (const result of scored) {
+    const canonical = canonicalUrl(result.url);
+    if (seenUrls.has(canonical)) continue;
+    if (kept.some(other => titleSimilarity(other.title, result.title) >= TITLE_SIMILARITY)) continue;
+    seenUrls.add(canonical);
+    kept.push(result);
+  }
+  return kept.map(({ weight, position, ...result }) => result);
+}
+
+module.exports = {
+  canonicalUrl,
+  domainWeight,
+  rankResults
+};
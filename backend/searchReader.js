@@ -0,0 +1,176 @@
+/* backend/searchReader.js */
+// Search-then-read phase of the tool loop: reads search hits concurrently and
+// condenses each page (map) before the pipeline writes one summary (reduce)
+const genAI = require('./aiClient');
+const toolExecutor = require('./toolExecutor');
+const config = require('./config');
+
+// Longest page text passed to a per-page summary
+const MAX_PAGE_CHARS = 12000;
+
+/**
+ * Map items with at most `limit` calls of fn in flight; results keep the input order.
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workers = Math.min(Math.max(1, limit), items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+// Key under which a URL is deduplicated (ignores fragment and trailing slash)
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.toString().replace(/\/$/, '');
+  } catch {
+    return url;
+  }
+}
+
+// Fetch up to config.searchReadChunks parts of config.readUrlMaxChars of one page.
+// The first READ_URL call asks for all of them at once; when READ_URL returns less
+// (it caps maxChars) the loop reads on from meta.reading.nextOffset, with at most
+// config.searchReadChunks calls. Failures other than cancellation become { error },
+// with policy set when the URL policy or robots.txt refused the page. cache and
+// throttle describe the first call.
+async function readPage(url, context) {
+  try {
+    const budget = config.readUrlMaxChars * config.searchReadChunks;
+    let content = '';
+    let cache;
+    let throttle;
+    let offset = 0;
+    for (let call = 0; call < config.searchReadChunks && offset !== null && content.length < budget; call++) {
+      const readRes = await toolExecutor('READ_URL', { url, maxChars: budget - content.length, offset }, context);
+      if (call === 0 && readRes.meta) ({ cache, throttle } = readRes.meta);
+      if (readRes.error) {
+        if (call === 0) return { content: '', error: readRes.error, cache, throttle, policy: readRes.meta && readRes.meta.policy };
+        break;
+      }
+      // Prefer parsed bodyText, else raw result
+      const text = (readRes.result && readRes.result.bodyText) || readRes.result || '';
+      content += (typeof text === 'string' ? text : JSON.stringify(text)).replace(/\.\.\. \[truncated\]$/, '');
+      const reading = readRes.meta && readRes.meta.reading;
+      offset = reading ? reading.nextOffset : null;
+    }
+    return { content, error: null, cache, throttle };
+  } catch (e) {
+    if (context.signal) context.signal.throwIfAborted();
+    return { content: '', error: e.message, cache: null };
+  }
+}
+
+/**
+ * Read search hits concurrently. URLs are deduplicated within the hits and against
+ * readCache, so a page is fetched at most once per pipeline run.
+ * @param {Array} hits - Search results [{ title, url, snippet }]
+ * @param {Object} [options]
+ * @param {Map} [options.readCache] - normalized URL -> Promise of { content, error }; share it across iterations
+ * @param {Object} [options.context] - Tool context ({ userMsg, toolHistory, reasoningLog, signal })
+ * @param {number} [options.limit] - Maximum pages to read (default config.searchReadLimit)
+ * @param {number} [options.concurrency] - Maximum parallel fetches (default config.searchFetchConcurrency)
+ * @returns {Promise<Array>} [{ title, url, snippet, content, error, policy, cache, throttle, alreadyRead }],
+ *   where cache is the HTTP cache status of the read and throttle its wait for the host
+ *   (see httpCache.js), and policy the URL policy violation that blocked it (see urlPolicy.js)
+ */
+async function readSearchHits(hits, options = {}) {
+  const {
+    readCache = new Map(),
+    context = {},
+    limit = config.searchReadLimit,
+    concurrency = config.searchFetchConcurrency
+  } = options;
+  const seen = new Set();
+  const unique = hits
+    .filter(hit => hit && /^https?:\/\//i.test(hit.url))
+    .filter(hit => {
+      const key = normalizeUrl(hit.url);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+
+  return mapWithConcurrency(unique, concurrency, async hit => {
+    const key = normalizeUrl(hit.url);
+    const alreadyRead = readCache.has(key);
+    if (!alreadyRead) readCache.set(key, readPage(hit.url, context));
+    const page = await readCache.get(key);
+    return { title: hit.title, url: hit.url, snippet: hit.snippet, ...page, alreadyRead };
+  });
+}
+
+/**
+ * Map step of the summarization: condense every fetched page to the facts that
+ * matter for the query, concurrently. Pages without content keep their snippet.
+ * @param {Array} sources - Output of readSearchHits
+ * @param {string} userMsg - The user's query
+ * @param {Object} [options] - { signal, concurrency }
+ * @returns {Promise<Array>} sources with a `notes` field
+ */
+async function summarizeSources(sources, userMsg, { signal, concurrency = config.searchFetchConcurrency } = {}) {
+  const model = genAI.getGenerativeModel({ role: "summarization" });
+  return mapWithConcurrency(sources, concurrency, async source => {
+    if (!source.content) {
+      return { ...source, notes: source.snippet || '' };
+    }
+    const prompt = `Extract the information from this page that helps answer the query "${userMsg}".
+Reply with short factual notes only. If nothing on the page is relevant, reply "NONE".
+
+Title: ${source.title}
+URL: ${source.url}
+Content:
+${source.content.slice(0, MAX_PAGE_CHARS)}`;
+    try {
+      const res = await model.generateContent(prompt, { signal });
+      const notes = (await res.response.text()).trim();
+      return { ...source, notes: notes === 'NONE' ? '' : notes };
+    } catch (e) {
+      if (signal) signal.throwIfAborted();
+      // Fall back to the raw page text rather than losing the source
+      return { ...source, notes: source.content.slice(0, 1500) };
+    }
+  });
+}
+
+/**
+ * Sources an answer cites. Sources are numbered from 1 in the order they were given to
+ * the model, and cited as [n] (also [1, 2] or [1][2]).
+ * @param {string} text - Answer text
+ * @param {Array} sources - The sources in prompt order ({ title, url, snippet })
+ * @returns {Array} [{ id, title, url, snippet }] for the cited sources, by id
+ */
+function citedSources(text, sources) {
+  const ids = new Set();
+  for (const [, list] of String(text).matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    list.split(',').forEach(id => ids.add(parseInt(id, 10)));
+  }
+  return [...ids]
+    .filter(id => id >= 1 && id <= sources.length)
+    .sort((a, b) => a - b)
+    .map(id => {
+      const { title, url, snippet } = sources[id - 1];
+      return { id, title, url, snippet };
+    });
+}
+
+module.exports = {
+  mapWithConcurrency,
+  normalizeUrl,
+  readSearchHits,
+  summarizeSources,
+  citedSources
+};
@@ -2,8 +2,11 @@
 const express = require("express");
 const WebSocket = require("ws");
 const path = require("path");
-const runPipeline = require("./reasoningPipeline");
+const { runSessionTurn } = require("./chatService");
+const sessionStore = require("./sessionStore");
+const { authenticate } = require("./auth");
 const config = require("./config");
+const { parseClientFrame, createFrame, ERROR_CODES } = require("./protocol");
 // Use shared logger for structured debug/info logging
 const logger = require('./logger');
 
@@ -11,60 +14,158 @@ const logger = require('./logger');
 const app = express();
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../frontend')));
+// REST and Server-Sent Events equivalents of the chat pipeline
+app.use('/api', require('./routes/chat'));
+// Stored conversations: list, get, delete
+app.use('/api', require('./routes/sessions'));
+// Interrupted planner runs: list, resume, discard
+app.use('/api', require('./routes/plans'));
+// OpenAI-compatible /v1/chat/completions facade
+app.use('/v1', require('./routes/openai'));
 const PORT = config.port || 3004;
 const server = app.listen(PORT, () => {
 	logger.info(`HTTP server listening on port ${PORT}`);
 });
 
-// Attach WebSocket server for chat
+// Attach WebSocket server for chat (wire format documented in protocol.js)
 const wss = new WebSocket.Server({ server });
-wss.on('connection', ws => {
-	logger.info('New WebSocket client connected');
-	// Maintain a server-side session history for this WebSocket
-	const sessionHistory = [];
+// Requests a socket may have waiting behind the active one
+const MAX_QUEUED_REQUESTS = 3;
 
-	ws.on('message', async raw => {
-		logger.debug('[WS] Raw message', { raw });
-		let userMsg;
-		let clientHistory = [];
-		try {
-			// Parse user message and client-side chat history
-			const parsed = JSON.parse(raw);
-			userMsg = parsed.message;
-			clientHistory = Array.isArray(parsed.history) ? parsed.history : [];
-			logger.debug('[WS] Parsed message', { userMsg, clientHistory });
-		} catch {
-			ws.send(JSON.stringify({ error: 'Invalid request payload' }));
+wss.on('connection', (ws, req) => {
+	// Identify the user from the upgrade request (token or userId query parameter)
+	const userId = authenticate(req);
+	if (!userId) {
+		logger.warn('[WS] Rejected unauthenticated connection');
+		ws.close(4401, 'Authentication required');
+		return;
+	}
+	logger.info(`New WebSocket client connected (user ${userId})`);
+	// History lives in the session store (keyed by the frame's sessionId and owned
+	// by the connection's user), so a reconnecting client resumes its conversation. Runs are still processed one at
+	// a time per socket so replies arrive in request order.
+	const queue = [];
+	let activeRun = null;
+	// Session used for chat frames that do not name one
+	let socketSessionId;
+
+	const send = (type, requestId, payload) => {
+		ws.send(createFrame(type, requestId, payload));
+	};
+
+	ws.on('message', raw => {
+		logger.debug('[WS] Raw message', { raw: raw.toString() });
+		const parsed = parseClientFrame(raw);
+		if (!parsed.valid) {
+			logger.warn(`[WS] Rejected frame: ${parsed.error}`);
+			send('error', parsed.requestId, { code: parsed.code, error: parsed.error });
+			return;
+		}
+		const frame = parsed.frame;
+
+		if (frame.type === 'cancel') {
+			cancelRequest(frame.requestId);
+			return;
+		}
+
+		// chat
+		const isDuplicate = (activeRun && activeRun.requestId === frame.requestId)
+			|| queue.some(item => item.requestId === frame.requestId);
+		if (isDuplicate) {
+			send('error', frame.requestId, { code: ERROR_CODES.INVALID_FRAME, error: 'Duplicate requestId' });
+			return;
+		}
+		if (queue.length >= MAX_QUEUED_REQUESTS) {
+			send('error', frame.requestId, { code: ERROR_CODES.BUSY, error: 'Too many pending requests on this connection' });
 			return;
 		}
-		// Initialize sessionHistory with client history on first message
-		if (sessionHistory.length === 0 && clientHistory.length) {
-			sessionHistory.push(...clientHistory);
+		queue.push({
+			requestId: frame.requestId,
+			sessionId: frame.sessionId,
+			message: frame.message,
+			history: frame.history || [],
+			mode: frame.mode
+		});
+		if (activeRun) {
+			send('queued', frame.requestId, { position: queue.length });
+		} else {
+			processQueue();
 		}
-		// Update server-managed history with the user's turn
-		sessionHistory.push({ role: 'user', text: userMsg });
+	});
+
+	function cancelRequest(requestId) {
+		if (activeRun && activeRun.requestId === requestId) {
+			logger.info(`[WS] Cancelling request ${requestId}`);
+			activeRun.controller.abort();
+			return;
+		}
+		const index = queue.findIndex(item => item.requestId === requestId);
+		if (index >= 0) {
+			queue.splice(index, 1);
+			send('cancelled', requestId);
+		}
+	}
+
+	async function processQueue() {
+		while (queue.length > 0 && ws.readyState === WebSocket.OPEN) {
+			const request = queue.shift();
+			const controller = new AbortController();
+			activeRun = { requestId: request.requestId, controller };
+			try {
+				await handleChat(request, controller.signal);
+			} finally {
+				activeRun = null;
+			}
+		}
+	}
+
+	async function handleChat({ requestId, sessionId, message: userMsg, history: clientHistory, mode }, signal) {
+		logger.debug('[WS] Handling chat request', { requestId, sessionId, userMsg });
 		try {
+			// Pin the socket's default session before running, so a cancelled run keeps it too
+			if (!sessionId && !socketSessionId) {
+				socketSessionId = (await sessionStore.getOrCreateSession(undefined, userId)).id;
+			}
 			// Stream each pipeline step back to client
 			const onProgress = entry => {
-				ws.send(JSON.stringify({ progress: entry }));
+				send('progress', requestId, { entry });
 				logger.debug(`[Pipeline] ${entry.step}: ${entry.message}`);
 			};
-			const { finalResponse, reasoningLog } = await runPipeline(userMsg, sessionHistory, onProgress);
+			// Stream tokens of the final answer
+			const onDelta = (delta, { reset } = {}) => {
+				if (reset) {
+					send('stream_reset', requestId);
+				} else {
+					send('delta', requestId, { delta });
+				}
+			};
+			// The session store records both the user's and the agent's turn
+			const result = await runSessionTurn(
+				{ message: userMsg, sessionId: sessionId || socketSessionId, userId, history: clientHistory, mode },
+				{ onProgress, onDelta, signal }
+			);
+			const { finalResponse, reasoningLog, sources } = result;
 			// Log final response at info level
 			logger.info(`[Pipeline] Final Response: ${finalResponse}`);
-			// Update server-managed history with the agent's turn
-			sessionHistory.push({ role: 'agent', text: finalResponse });
-			// Send final response and full reasoning log to frontend
-			ws.send(JSON.stringify({ response: finalResponse, reasoningLog }));
-			logger.debug('[WS] Sending response', { response: finalResponse, reasoningLog });
+			// Send final response and full reasoning log to frontend (closes the request)
+			send('response', requestId, { response: finalResponse, reasoningLog, sources, sessionId: result.sessionId });
+			logger.debug('[WS] Sending response', { requestId, response: finalResponse });
 		} catch (err) {
+			if (signal.aborted) {
+				logger.info(`[Pipeline] Request ${requestId} cancelled`);
+				send('cancelled', requestId);
+				return;
+			}
 			logger.error(`Pipeline error: ${err.message}`);
-			ws.send(JSON.stringify({ response: 'Error processing request.', error: err.message }));
+			send('error', requestId, { code: ERROR_CODES.PIPELINE_ERROR, error: err.message });
 		}
-	});
+	}
 
 	ws.on('close', () => {
 		logger.info('WebSocket client disconnected');
+		// Nobody is listening any more; stop spending LLM and network calls
+		queue.length = 0;
+		if (activeRun) activeRun.controller.abort();
 	});
 });
 
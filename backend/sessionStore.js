@@ -0,0 +1,316 @@
+/* backend/sessionStore.js */
+// File-backed conversation store shared by the WebSocket and REST chat endpoints
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { ANONYMOUS_USER } = require('./auth');
+const { releaseSession } = require('./memory/memory_manager');
+
+// One JSON file per session
+const SESSIONS_DIR = path.join(__dirname, 'data/sessions');
+// Session IDs double as file names, so keep them to a safe alphabet
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TITLE_LENGTH = 60;
+// Sessions kept in memory; the least recently used ones beyond this are reloaded from disk
+const MAX_CACHED_SESSIONS = 200;
+
+// sessionId -> { id, userId, title, history: [{role, text}], createdAt, updatedAt },
+// least recently used first
+const sessions = new Map();
+// sessionId -> tail of the promise chain serializing runs on that session
+const locks = new Map();
+// sessionId -> tail of the promise chain serializing file writes
+const writes = new Map();
+// sessionId -> AbortControllers of the runs holding or waiting for the session's lock
+const runs = new Map();
+// Session objects deleted while a run may still hold them; they are never saved again
+const deletedSessions = new WeakSet();
+// Resolves to userId -> Map(sessionId -> summary), read from disk on the first listSessions
+let indexPromise = null;
+
+const ready = fs.mkdir(SESSIONS_DIR, { recursive: true }).catch(error => {
+  logger.error(`[SessionStore] Failed to create ${SESSIONS_DIR}: ${error.message}`);
+});
+
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+/**
+ * Whether a client-supplied history has the shape of stored turns.
+ * @param {Array} history
+ * @returns {boolean} true when every entry is { role: 'user'|'agent', text: string }
+ */
+function isValidHistory(history) {
+  return Array.isArray(history) && history.every(turn =>
+    turn !== null && typeof turn === 'object' && !Array.isArray(turn) &&
+    ['user', 'agent'].includes(turn.role) && typeof turn.text === 'string');
+}
+
+// Error for a request on a session it cannot use; code is 'ESESSIONDELETED' or 'ESESSIONOWNER'
+function sessionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getSessionPath(sessionId) {
+  return path.join(SESSIONS_DIR, `${sessionId}.json`);
+}
+
+// Sessions stored before users existed belong to the anonymous user
+function ownerOf(session) {
+  return session.userId || ANONYMOUS_USER;
+}
+
+// Listed fields of a session
+function summaryOf(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    turnCount: session.history.length,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+// Mark a session as most recently used and drop the least recently used ones over
+// the limit; sessions with a run holding or waiting for their lock stay cached
+function cacheSession(session) {
+  sessions.delete(session.id);
+  sessions.set(session.id, session);
+  for (const id of sessions.keys()) {
+    if (sessions.size <= MAX_CACHED_SESSIONS) break;
+    if (!locks.has(id) && !runs.has(id)) sessions.delete(id);
+  }
+  return session;
+}
+
+// Read the owner and summary of every stored session once
+function loadIndex() {
+  if (!indexPromise) {
+    indexPromise = ready.then(async () => {
+      const index = new Map();
+      const files = await fs.readdir(SESSIONS_DIR);
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+          const session = JSON.parse(await fs.readFile(path.join(SESSIONS_DIR, file), 'utf8'));
+          if (!index.has(ownerOf(session))) index.set(ownerOf(session), new Map());
+          index.get(ownerOf(session)).set(session.id, summaryOf(session));
+        } catch (error) {
+          if (error.code !== 'ENOENT') logger.error(`[SessionStore] Error indexing ${file}: ${error.message}`);
+        }
+      }
+      return index;
+    });
+    indexPromise.catch(() => { indexPromise = null; });
+  }
+  return indexPromise;
+}
+
+// Apply a change to the index once it has been read; before that there is nothing to update
+function updateIndex(userId, change) {
+  if (!indexPromise) return;
+  indexPromise.then(index => {
+    if (!index.has(userId)) index.set(userId, new Map());
+    change(index.get(userId));
+  }, () => {});
+}
+
+// Load a session from cache or disk regardless of its owner
+async function loadSession(sessionId) {
+  if (!isValidSessionId(sessionId)) return null;
+  if (sessions.has(sessionId)) return cacheSession(sessions.get(sessionId));
+  await ready;
+  try {
+    const data = await fs.readFile(getSessionPath(sessionId), 'utf8');
+    // Another caller may have loaded it while we were reading
+    return cacheSession(sessions.get(sessionId) || JSON.parse(data));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`[SessionStore] Error reading session ${sessionId}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Load a user's session from cache or disk.
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Requesting user; sessions of other users are not visible
+ * @returns {Promise<Object|null>} Session, or null when it does not exist
+ */
+async function getSession(sessionId, userId) {
+  const session = await loadSession(sessionId);
+  return session && ownerOf(session) === userId ? session : null;
+}
+
+/**
+ * Whether a session exists and belongs to another user, so the user can neither
+ * use nor create it.
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Requesting user
+ * @returns {Promise<boolean>}
+ */
+async function isOtherUsersSession(sessionId, userId) {
+  const session = await loadSession(sessionId);
+  return Boolean(session) && ownerOf(session) !== userId;
+}
+
+/**
+ * Get a user's session, creating it when the ID is unknown or missing.
+ * @param {string} [sessionId] - Existing or client-chosen session ID
+ * @param {string} userId - Owner of the session
+ * @returns {Promise<Object>} Session; rejects with code 'ESESSIONOWNER' when the ID is
+ *   another user's session, reported as not found so its existence is not revealed
+ */
+async function getOrCreateSession(sessionId, userId) {
+  if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+    throw new Error(`Invalid session ID '${sessionId}'`);
+  }
+  const id = sessionId || crypto.randomUUID();
+  const existing = await loadSession(id);
+  if (existing) {
+    if (ownerOf(existing) !== userId) {
+      throw sessionError('ESESSIONOWNER', `Session '${id}' not found`);
+    }
+    return existing;
+  }
+  if (!sessions.has(id)) {
+    const now = Date.now();
+    cacheSession({ id, userId, title: '', history: [], createdAt: now, updatedAt: now });
+  }
+  return sessions.get(id);
+}
+
+// Write the session file; writes for one session are chained so they never overlap.
+// A deleted session is not written, so a run that outlives the delete cannot restore it.
+function saveSession(session) {
+  if (deletedSessions.has(session)) return Promise.resolve();
+  const previous = writes.get(session.id) || ready;
+  const write = previous.then(async () => {
+    const filePath = getSessionPath(session.id);
+    const tmpPath = `${filePath}.tmp`;
+    const summary = summaryOf(session);
+    await fs.writeFile(tmpPath, JSON.stringify(session, null, 2));
+    await fs.rename(tmpPath, filePath);
+    updateIndex(ownerOf(session), userSessions => userSessions.set(session.id, summary));
+  }).catch(error => {
+    logger.error(`[SessionStore] Error saving session ${session.id}: ${error.message}`);
+  });
+  writes.set(session.id, write);
+  return write;
+}
+
+/**
+ * Append conversation turns to a session and persist it.
+ * @param {Object} session - Session returned by getOrCreateSession
+ * @param {...{role: string, text: string}} turns - Turns to append
+ * @returns {Promise<Object>} Updated session; rejects with code 'ESESSIONDELETED' once
+ *   the session has been deleted
+ */
+async function appendTurns(session, ...turns) {
+  if (deletedSessions.has(session)) {
+    throw sessionError('ESESSIONDELETED', `Session '${session.id}' was deleted`);
+  }
+  session.history.push(...turns);
+  if (!session.title) {
+    const firstUserTurn = session.history.find(turn => turn.role === 'user');
+    if (firstUserTurn) session.title = firstUserTurn.text.slice(0, TITLE_LENGTH);
+  }
+  session.updatedAt = Date.now();
+  await saveSession(session);
+  return session;
+}
+
+/**
+ * List a user's stored sessions, most recently updated first.
+ * @param {string} userId - Owner of the sessions
+ * @returns {Promise<Array>} [{ id, title, turnCount, createdAt, updatedAt }]
+ */
+async function listSessions(userId) {
+  const index = await loadIndex();
+  return [...(index.get(userId) || new Map()).values()]
+    .map(summary => ({ ...summary }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Delete a user's session from cache and disk, along with its session memory.
+ * Runs on the session, running or waiting for its lock, are aborted.
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Owner of the session
+ * @returns {Promise<boolean>} True when a session was deleted
+ */
+async function deleteSession(sessionId, userId) {
+  const session = await getSession(sessionId, userId);
+  if (!session) return false;
+  deletedSessions.add(session);
+  const deleted = sessionError('ESESSIONDELETED', `Session '${sessionId}' was deleted`);
+  (runs.get(sessionId) || []).forEach(controller => controller.abort(deleted));
+  releaseSession(userId, sessionId);
+  const cached = sessions.delete(sessionId);
+  await (writes.get(sessionId) || ready);
+  writes.delete(sessionId);
+  try {
+    await fs.unlink(getSessionPath(sessionId));
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return cached;
+  } finally {
+    updateIndex(userId, userSessions => userSessions.delete(sessionId));
+  }
+}
+
+/**
+ * Run fn while holding the session's lock, so concurrent requests on the same
+ * session execute one after another instead of interleaving their turns.
+ * fn gets an AbortSignal that fires when the caller's signal does or when the
+ * session is deleted; in the latter case the run rejects with code 'ESESSIONDELETED'.
+ * @param {string} sessionId - Session ID
+ * @param {Function} fn - Async work, called with the run's AbortSignal
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @returns {Promise<any>} Result of fn
+ */
+function runExclusive(sessionId, fn, signal) {
+  const controller = new AbortController();
+  const forward = () => controller.abort(signal.reason);
+  if (signal && signal.aborted) forward();
+  else if (signal) signal.addEventListener('abort', forward, { once: true });
+  if (!runs.has(sessionId)) runs.set(sessionId, new Set());
+  runs.get(sessionId).add(controller);
+
+  const previous = locks.get(sessionId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => {
+    controller.signal.throwIfAborted();
+    return fn(controller.signal);
+  }).catch(error => {
+    // Report the delete rather than whatever the aborted work failed with
+    throw controller.signal.aborted ? controller.signal.reason : error;
+  }).finally(() => {
+    if (signal) signal.removeEventListener('abort', forward);
+    const controllers = runs.get(sessionId);
+    controllers.delete(controller);
+    if (controllers.size === 0) runs.delete(sessionId);
+  });
+  const tail = run.catch(() => {});
+  locks.set(sessionId, tail);
+  tail.then(() => {
+    if (locks.get(sessionId) === tail) locks.delete(sessionId);
+  });
+  return run;
+}
+
+module.exports = {
+  isValidSessionId,
+  isValidHistory,
+  getSession,
+  isOtherUsersSession,
+  getOrCreateSession,
+  appendTurns,
+  listSessions,
+  deleteSession,
+  runExclusive
+};
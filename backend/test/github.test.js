@@ -0,0 +1,68 @@
+/* backend/test/github.test.js */
+// Run with: node --test backend/test
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+process.env.HTTP_CACHE_BACKEND = 'off';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGitHubUrl } = require('../github');
+
+test('parseGitHubUrl recognizes profiles and repositories', () => {
+  assert.deepEqual(parseGitHubUrl('https://github.com/octocat'), { type: 'profile', owner: 'octocat' });
+  assert.deepEqual(parseGitHubUrl('https://www.github.com/octocat/Hello-World'), { type: 'repo', owner: 'octocat', repo: 'Hello-World' });
+  assert.deepEqual(parseGitHubUrl('https://github.com/octocat/hello.world.git'), { type: 'repo', owner: 'octocat', repo: 'hello.world' });
+});
+
+test('parseGitHubUrl recognizes issues, pull requests and releases', () => {
+  assert.deepEqual(parseGitHubUrl('https://github.com/o/r/issues/42'), { type: 'issue', owner: 'o', repo: 'r', number: 42 });
+  assert.deepEqual(parseGitHubUrl('https://github.com/o/r/pull/7#discussion'), { type: 'pull', owner: 'o', repo: 'r', number: 7 });
+  assert.deepEqual(parseGitHubUrl('https://github.com/o/r/releases'), { type: 'releases', owner: 'o', repo: 'r' });
+  assert.deepEqual(parseGitHubUrl('https://github.com/o/r/releases/latest'), { type: 'release', owner: 'o', repo: 'r', tag: null });
+  assert.deepEqual(parseGitHubUrl('https://github.com/o/r/releases/tag/v1.2.0'), { type: 'release', owner: 'o', repo: 'r', tag: 'v1.2.0' });
+  assert.equal(parseGitHubUrl('https://github.com/o/r/issues/abc'), null);
+  assert.equal(parseGitHubUrl('https://github.com/o/r/pulls'), null);
+});
+
+test('parseGitHubUrl recognizes files and directories', () => {
+  assert.deepEqual(parseGitHubUrl('https://github.com/o/r/blob/main/src/index.js'),
+    { type: 'blob', owner: 'o', repo: 'r', ref: 'main', path: 'src/index.js' });
+  assert.deepEqual(parseGitHubUrl('https://github.com/o/r/tree/v2'), { type: 'tree', owner: 'o', repo: 'r', ref: 'v2', path: '' });
+  assert.deepEqual(parseGitHubUrl('https://github.com/o/r/blob/main/docs/a%20b.md'),
+    { type: 'blob', owner: 'o', repo: 'r', ref: 'main', path: 'docs/a b.md' });
+});
+
+test('parseGitHubUrl recognizes gists', () => {
+  assert.deepEqual(parseGitHubUrl('https://gist.github.com/octocat/aa5a315d61ae9438b18d'), { type: 'gist', gistId: 'aa5a315d61ae9438b18d' });
+  assert.deepEqual(parseGitHubUrl('https://gist.github.com/aa5a315d61ae9438b18d'), { type: 'gist', gistId: 'aa5a315d61ae9438b18d' });
+  assert.equal(parseGitHubUrl('https://gist.github.com/octocat/not-hex'), null);
+});
+
+test('parseGitHubUrl ignores other hosts and github.com pages that are not users', () => {
+  assert.equal(parseGitHubUrl('https://gitlab.com/o/r'), null);
+  assert.equal(parseGitHubUrl('https://github.com.evil.example/o/r'), null);
+  assert.equal(parseGitHubUrl('https://github.com/'), null);
+  assert.equal(parseGitHubUrl('https://github.com/settings/profile'), null);
+  assert.equal(parseGitHubUrl('https://github.com/orgs/octo-org'), null);
+  assert.equal(parseGitHubUrl('not a url'), null);
+});
+
+test('parseGitHubUrl rejects encoded segments that would leave the API path', () => {
+  // Decoded, these become ../user and similar and would be normalized into other endpoints
+  for (const url of [
+    'https://github.com/%2E%2E%2Fuser',
+    'https://github.com/%2E%2E',
+    'https://github.com/octocat/%2E%2E',
+    'https://github.com/o/..%2F..%2Fuser%2Frepos%3Fvisibility=private',
+    'https://github.com/o/r/blob/main/%2E%2E/%2E%2E/x',
+    'https://github.com/o/r/releases/tag/v1%2F..%2F..%2F..',
+    'https://github.com/o/r/blob/main/a%2F..%2F..%2Fb'
+  ]) {
+    assert.equal(parseGitHubUrl(url), null, url);
+  }
+});
+
+test('parseGitHubUrl rejects names GitHub does not allow and malformed escapes', () => {
+  assert.equal(parseGitHubUrl('https://github.com/oc%3Ftocat'), null);
+  assert.equal(parseGitHubUrl('https://github.com/o/r%20x'), null);
+  assert.equal(parseGitHubUrl('https://github.com/o/r%23frag/issues/1'), null);
+  assert.equal(parseGitHubUrl('https://github.com/%E0%A4%A'), null);
+});
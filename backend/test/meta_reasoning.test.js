@@ -0,0 +1,120 @@
+/* backend/test/meta_reasoning.test.js */
+// Run with: node --test backend/test
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+// Canned search results whose pages the URL policy refuses, as in pipeline.test.js
+process.env.NODE_ENV = 'test';
+process.env.SEARCH_PROVIDERS = 'mock';
+process.env.URL_DENY_DOMAINS = 'example.com';
+process.env.HTTP_CACHE_BACKEND = 'off';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const genAI = require('../aiClient');
+const { ReasoningStateManager, executePlan, restorePlan, planQueryExecution, TASK_STATES } = require('../reasoning/meta_reasoning');
+
+// Two memory checks, the second depending on the first
+function twoStepPlan() {
+  const steps = [
+    { id: 'task-1', type: 'MEMORY_CHECK', description: 'first', dependencies: [] },
+    { id: 'task-2', type: 'MEMORY_CHECK', description: 'second', dependencies: ['task-1'] }
+  ];
+  const stateManager = new ReasoningStateManager();
+  const plan = { id: 'plan-1', query: 'q', steps, currentStepIndex: 0, results: [], stateManager };
+  stateManager.initializePlan(plan);
+  return plan;
+}
+
+test('a task interrupted by a cancel runs again when the plan is resumed', async () => {
+  const plan = twoStepPlan();
+  const controller = new AbortController();
+  let calls = 0;
+  // The second check is still running when the run is cancelled
+  const memory = {
+    checkMemoryForAnswer: () => {
+      calls++;
+      if (calls === 1) return Promise.resolve({ found: false, reason: 'unknown' });
+      return new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        setImmediate(() => controller.abort());
+      });
+    }
+  };
+  await assert.rejects(executePlan(plan, { memory, signal: controller.signal }), { name: 'AbortError' });
+  assert.equal(plan.stateManager.tasks.get('task-1').state, TASK_STATES.COMPLETED);
+  assert.equal(plan.stateManager.tasks.get('task-2').state, TASK_STATES.IN_PROGRESS);
+  assert.equal(plan.stateManager.approaches.has('task-2'), false);
+
+  // Persisted and restored the way planStore and plannerPipeline do it
+  const stored = JSON.parse(JSON.stringify({
+    id: plan.id, query: plan.query, steps: plan.steps, checkpoints: plan.stateManager.serializeCheckpoints()
+  }));
+  const resumed = restorePlan(stored);
+  assert.equal(resumed.stateManager.tasks.get('task-2').state, TASK_STATES.PENDING);
+
+  const queries = [];
+  const resumedMemory = {
+    checkMemoryForAnswer: query => {
+      queries.push(query);
+      return Promise.resolve({ found: true, answer: 'a', confidence: 1 });
+    }
+  };
+  await executePlan(resumed, { memory: resumedMemory });
+  assert.deepEqual(queries, ['q']);
+  assert.equal(resumed.stateManager.tasks.get('task-2').state, TASK_STATES.COMPLETED);
+  assert.deepEqual(resumed.results.map(entry => entry.step.id), ['task-1', 'task-2']);
+  assert.equal(resumed.completed, true);
+});
+
+test('a failed result from a cancelled task is not recorded as a success', async () => {
+  const plan = twoStepPlan();
+  const controller = new AbortController();
+  // Executors that catch their own errors still resolve after the cancel
+  const memory = {
+    checkMemoryForAnswer: () => {
+      controller.abort();
+      return Promise.resolve({ found: false, reason: 'aborted' });
+    }
+  };
+  await assert.rejects(executePlan(plan, { memory, signal: controller.signal }), { name: 'AbortError' });
+  assert.equal(plan.stateManager.tasks.get('task-1').state, TASK_STATES.IN_PROGRESS);
+  assert.equal(plan.stateManager.results.size, 0);
+  assert.equal(plan.results.length, 0);
+});
+
+test('a planned web search is answered from numbered notes and returns the cited sources', async () => {
+  const steps = [
+    { id: 'task-1', type: 'TOOL_SELECTION', description: 'pick a tool', dependencies: [] },
+    { id: 'task-2', type: 'INFORMATION_GATHERING', description: 'search', dependencies: ['task-1'] },
+    { id: 'task-3', type: 'SYNTHESIS', description: 'answer', dependencies: ['task-2'] },
+    { id: 'task-4', type: 'VERIFICATION', description: 'verify', dependencies: ['task-3'] }
+  ];
+  const stateManager = new ReasoningStateManager();
+  const plan = { id: 'plan-2', query: 'capital of France', steps, currentStepIndex: 0, results: [], stateManager };
+  stateManager.initializePlan(plan);
+  genAI.provider.setScript([
+    { match: 'select the most appropriate tool', response: '{"reasoning":"needs the web","selectedTool":"WEB_SEARCH","parameters":{}}' },
+    { match: 'Summarize these web results', response: 'Paris is the capital of France [2].' }
+  ]);
+  genAI.provider.reset();
+
+  await executePlan(plan, { userMsg: plan.query, facts: [], historyContext: '', toolHistory: { web_searches: [], url_reads: [] }, genAI });
+  const prompt = genAI.provider.getCalls().map(call => call.prompt).find(text => text.includes('Summarize these web results'));
+  assert.match(prompt, /\[2\] Title: Information about capital of France \(2\)/);
+  const verified = plan.results.find(entry => entry.step.id === 'task-4').result;
+  assert.equal(verified.response, 'Paris is the capital of France [2].');
+  assert.deepEqual(verified.sources, [{
+    id: 2,
+    title: 'Information about capital of France (2)',
+    url: 'https://example.com/search?q=capital%20of%20France&n=2',
+    snippet: 'Mock search result 2 for capital of France.'
+  }]);
+});
+
+test('planning a cancelled run makes no LLM call', async () => {
+  genAI.provider.reset();
+  const controller = new AbortController();
+  controller.abort();
+  // The mock provider rejects before recording a call once the signal it gets is aborted
+  const plan = await planQueryExecution('q', [], '', genAI, { signal: controller.signal });
+  assert.ok(plan.steps.length > 0);
+  assert.deepEqual(genAI.provider.getCalls(), []);
+});
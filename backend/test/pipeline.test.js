@@ -0,0 +1,51 @@
+/* backend/test/pipeline.test.js */
+// Run with: node --test backend/test
+// The whole linear pipeline offline: scripted LLM and canned search results. The URL
+// policy refuses the example.com hits, so no page is fetched and the answer is
+// written from the search snippets.
+process.env.LLM_PROVIDER = 'mock';
+process.env.NODE_ENV = 'test';
+process.env.SEARCH_PROVIDERS = 'mock';
+process.env.URL_DENY_DOMAINS = 'example.com';
+process.env.HTTP_CACHE_BACKEND = 'off';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const genAI = require('../aiClient');
+const { runPipeline } = require('../pipelines');
+
+// Memory scope without stored facts
+const memory = { userId: 'test', getAllFacts: () => [], storeFact() {} };
+
+// Rules are matched in order against the prompt; the checker's prompt quotes the log, so it comes first
+const SCRIPT = [
+  { match: "Does this satisfy the user's request?", response: '{"sufficient":true,"reasoning":"answers it"}' },
+  { match: 'Decide if the intent is one of', response: '{"reasoning":["asks for a fact"],"intent":"search_query"}' },
+  { match: 'Decide if any fact directly answers the query', response: '{"reasoning":[],"found":false,"answer":""}' },
+  { match: 'Weigh against available tools', response: '{"reasoning":[],"tool":"WEB_SEARCH","params":{"query":"capital of France"}}' },
+  { match: 'Summarize these web results', response: 'Paris is the capital of France [1].' }
+];
+
+test('runPipeline answers a search query offline and cites the search result', async () => {
+  genAI.provider.setScript(SCRIPT);
+  genAI.provider.reset();
+  const progress = [];
+  const deltas = [];
+  const result = await runPipeline('What is the capital of France?', [], entry => progress.push(entry.step), {
+    mode: 'linear',
+    memory,
+    onDelta: delta => deltas.push(delta)
+  });
+
+  assert.equal(result.finalResponse, 'Paris is the capital of France [1].');
+  assert.equal(deltas.join(''), result.finalResponse);
+  assert.deepEqual(result.sources, [{
+    id: 1,
+    title: 'Information about capital of France (1)',
+    url: 'https://example.com/search?q=capital%20of%20France&n=1',
+    snippet: 'Mock search result 1 for capital of France.'
+  }]);
+  assert.ok(progress.includes('13a. Web Search Result Count'));
+  assert.ok(progress.includes('URL Policy'));
+  assert.ok(progress.includes('17. Final Response Sent'));
+  assert.deepEqual(result.reasoningLog.map(entry => entry.step), progress);
+});
@@ -0,0 +1,121 @@
+/* backend/test/urlPolicy.test.js */
+// Run with: node --test backend/test
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { checkUrl, checkHost, checkContentType, checkResponseHeaders, isBlockedAddress, lookup, policyViolationOf } = require('../urlPolicy');
+
+// Run fn with some config values replaced
+async function withConfig(values, fn) {
+  const saved = Object.fromEntries(Object.keys(values).map(key => [key, config[key]]));
+  Object.assign(config, values);
+  try {
+    return await fn();
+  } finally {
+    Object.assign(config, saved);
+  }
+}
+
+test('isBlockedAddress blocks local, private and reserved IPv4 ranges', () => {
+  for (const address of ['127.0.0.1', '127.255.0.9', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+    '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '100.128.0.1', '93.184.216.34']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('isBlockedAddress blocks local IPv6 and IPv6 forms of private IPv4 addresses', () => {
+  const blocked = [
+    '::1', '::', 'fe80::1', 'fd00::1', 'ff02::1',
+    // IPv4-mapped, dotted and hex
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '::FFFF:10.0.0.1',
+    // IPv4-compatible, NAT64 and 6to4
+    '::7f00:1', '::127.0.0.1', '64:ff9b::7f00:1', '64:ff9b::808:808', '64:ff9b:1::1', '2002:7f00:1::1'
+  ];
+  for (const address of blocked) assert.equal(isBlockedAddress(address), true, address);
+  for (const address of ['2606:4700::1111', '2001:4860:4860::8888', '::ffff:8.8.8.8']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('isBlockedAddress leaves host names to DNS resolution', () => {
+  assert.equal(isBlockedAddress('example.com'), false);
+  assert.equal(isBlockedAddress(''), false);
+});
+
+test('checkUrl blocks loopback written as decimal, hex, octal and short IPv4 literals', async () => {
+  for (const url of ['http://2130706433/', 'http://0x7f000001/', 'http://0x7f.1/', 'http://0177.0.0.1/', 'http://127.1/',
+    'http://[::ffff:127.0.0.1]/', 'http://[::ffff:7f00:1]/', 'http://[64:ff9b::7f00:1]/', 'http://169.254.169.254/latest/meta-data/']) {
+    const violation = await checkUrl(url);
+    assert.equal(violation && violation.rule, 'address', url);
+  }
+});
+
+test('checkUrl blocks localhost and its subdomains in any spelling', async () => {
+  for (const url of ['http://localhost/', 'http://LOCALHOST:8080/', 'http://localhost./', 'http://api.localhost/', 'http://a.b.localhost./x']) {
+    const violation = await checkUrl(url);
+    assert.equal(violation && violation.rule, 'address', url);
+  }
+  // Only the localhost label counts, not names that merely end in it
+  assert.doesNotThrow(() => checkHost('http:', 'notlocalhost.example'));
+});
+
+test('checkUrl allows public literals and reports protocol errors', async () => {
+  assert.equal(await checkUrl('https://8.8.8.8/'), null);
+  assert.equal(await checkUrl('http://[2606:4700::1111]/'), null);
+  assert.equal((await checkUrl('file:///etc/passwd')).rule, 'protocol');
+  assert.equal((await checkUrl('ftp://8.8.8.8/')).rule, 'protocol');
+  assert.equal((await checkUrl('not a url')).rule, 'protocol');
+});
+
+test('URL_ALLOW_PRIVATE lifts the address checks', async () => {
+  await withConfig({ urlAllowPrivate: true }, async () => {
+    assert.equal(await checkUrl('http://127.0.0.1/'), null);
+    assert.equal(await checkUrl('http://localhost/'), null);
+  });
+});
+
+test('checkHost applies the deny and allow lists to domains and their subdomains', async () => {
+  await withConfig({ urlDenyDomains: ['evil.example'], urlAllowDomains: [] }, () => {
+    assert.throws(() => checkHost('https:', 'evil.example'), error => error.policy.rule === 'domain');
+    assert.throws(() => checkHost('https:', 'www.EVIL.example.'), error => error.policy.rule === 'domain');
+    assert.doesNotThrow(() => checkHost('https:', 'notevil.example'));
+  });
+  await withConfig({ urlDenyDomains: [], urlAllowDomains: ['docs.example'] }, () => {
+    assert.doesNotThrow(() => checkHost('https:', 'docs.example'));
+    assert.doesNotThrow(() => checkHost('https:', 'api.docs.example'));
+    assert.throws(() => checkHost('https:', 'example'), error => error.policy.rule === 'domain');
+    assert.throws(() => checkHost('https:', 'docs.example.evil'), error => error.policy.rule === 'domain');
+  });
+});
+
+test('lookup refuses names that resolve to private addresses', async () => {
+  const error = await new Promise(resolve => lookup('localhost', {}, resolve));
+  assert.equal(policyViolationOf(error).rule, 'address');
+});
+
+test('policyViolationOf finds policy errors wrapped in other errors', () => {
+  let inner;
+  try {
+    checkHost('http:', '10.0.0.1');
+  } catch (error) {
+    inner = error;
+  }
+  const wrapped = new Error('request failed', { cause: inner });
+  assert.deepEqual(policyViolationOf(wrapped), { rule: 'address', message: inner.message });
+  assert.equal(policyViolationOf(new Error('ECONNRESET')), null);
+});
+
+test('checkContentType and checkResponseHeaders accept readable types only', () => {
+  assert.equal(checkContentType('text/html; charset=utf-8'), null);
+  assert.equal(checkContentType('application/ld+json'), null);
+  assert.equal(checkContentType(''), null);
+  assert.equal(checkContentType('image/png').rule, 'content-type');
+  assert.doesNotThrow(() => checkResponseHeaders({ 'content-type': 'application/pdf' }));
+  // Sniffed for PDFs after the download
+  assert.doesNotThrow(() => checkResponseHeaders({ 'content-type': 'application/octet-stream' }));
+  assert.throws(() => checkResponseHeaders({ 'content-type': 'video/mp4' }), error => error.policy.rule === 'content-type');
+});
@@ -0,0 +1,84 @@
+/* backend/textChunks.js */
+// Splits long page text into ordered chunks under their headings, so READ_URL can
+// return a page piece by piece ("read more") instead of truncating it
+//
+// A heading is a Markdown heading line ("## Setup"; HTML pages are extracted as
+// Markdown) or a PDF page marker ("[Page 3]").
+
+const MARKDOWN_HEADING = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+const PAGE_MARKER = /^\[Page \d+\]$/;
+
+// [{ heading, start }] for every heading line, in order
+function findHeadings(text) {
+  const found = [];
+  let position = 0;
+  // "# comment" lines inside fenced code are not headings
+  let inCode = false;
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('```')) inCode = !inCode;
+    const markdown = !inCode && trimmed.match(MARKDOWN_HEADING);
+    if (markdown) {
+      found.push({ heading: markdown[1], start: position });
+    } else if (!inCode && PAGE_MARKER.test(trimmed)) {
+      found.push({ heading: trimmed.slice(1, -1), start: position });
+    }
+    position += line.length + 1;
+  }
+  return found;
+}
+
+// Latest paragraph, line, sentence or word break in text[start, end), else end
+function breakBefore(text, start, end) {
+  const window = text.slice(start, end);
+  for (const separator of ['\n\n', '\n', '. ', ' ']) {
+    const at = window.lastIndexOf(separator);
+    // Do not cut so early that the chunk becomes tiny
+    if (at > window.length / 2) return start + at + separator.length;
+  }
+  return end;
+}
+
+/**
+ * Split text into ordered chunks of at most maxChars, starting a new chunk at every
+ * heading. Long sections are split at paragraph breaks and keep their heading.
+ * @param {string} text
+ * @param {Object} options
+ * @param {number} options.maxChars - Largest chunk
+ * @returns {Array} [{ index, heading, start, end }]
+ */
+function chunkText(text, { maxChars }) {
+  const sections = findHeadings(text);
+  // Text before the first heading is its own section
+  if (sections.length === 0 || sections[0].start > 0) sections.unshift({ heading: '', start: 0 });
+
+  const chunks = [];
+  sections.forEach((section, i) => {
+    const sectionEnd = i + 1 < sections.length ? sections[i + 1].start : text.length;
+    let start = section.start;
+    while (start < sectionEnd) {
+      const end = sectionEnd - start <= maxChars ? sectionEnd : breakBefore(text, start, start + maxChars);
+      if (text.slice(start, end).trim()) {
+        chunks.push({ index: chunks.length, heading: section.heading, start, end });
+      }
+      start = end;
+    }
+  });
+  return chunks;
+}
+
+/**
+ * First chunk under a heading containing the given text (case-insensitive).
+ * @param {Array} chunks - From chunkText
+ * @param {string} section - Heading text to look for
+ * @returns {Object|null} Chunk
+ */
+function findSection(chunks, section) {
+  const wanted = String(section).trim().toLowerCase();
+  return chunks.find(chunk => chunk.heading.toLowerCase().includes(wanted)) || null;
+}
+
+module.exports = {
+  chunkText,
+  findSection
+};
@@ -4,13 +4,17 @@ const tools = require("./tools");
  * Runs a tool by name with given parameters and context.
  * @param {string} toolName
  * @param {object} params
- * @param {object} context
+ * @param {object} context - may carry an AbortSignal as context.signal
  * @returns {Promise<any>} tool result
  */
-module.exports = async function toolExecutor(toolName, params, context) {
+module.exports = async function toolExecutor(toolName, params, context = {}) {
   const tool = tools[toolName];
   if (!tool) {
     throw new Error(`Tool '${toolName}' not found`);
   }
-  return await tool.run(params, context);
+  if (context.signal) context.signal.throwIfAborted();
+  const result = await tool.run(params, context);
+  // Tools map request failures into result.error; surface a cancellation as such
+  if (context.signal) context.signal.throwIfAborted();
+  return result;
 }; 
\ No newline at end of file
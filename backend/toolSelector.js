@@ -6,15 +6,17 @@ const genAI = require("./aiClient");
  * @param {Array} facts
  * @param {Object} toolHistory
  * @param {Array} history - conversation history as [{role, text}, ...]
+ * @param {Object} [options] - { signal } to abort the LLM call
  * @returns {Object} { reasoning, tool, params }
  */
-module.exports = async function toolSelector(userMsg, facts, toolHistory, history = []) {
+module.exports = async function toolSelector(userMsg, facts, toolHistory, history = [], { signal } = {}) {
   try {
-    const model = genAI.getGenerativeModel({ model: "gemma-3-27b-it" });
+    const model = genAI.getGenerativeModel({ role: "selection" });
 
     // Few-shot examples for better tool selection
     const examples = [
-      { query: 'sgd to myr', tool: 'WEB_SEARCH', params: { query: 'SGD to MYR exchange rate' } },
+      { query: 'sgd to myr', tool: 'WEB_SEARCH', params: { query: 'SGD to MYR exchange rate', recency: 'day' } },
+      { query: 'latest news about malaysia from the star', tool: 'WEB_SEARCH', params: { query: 'Malaysia news', recency: 'week', sites: ['thestar.com.my'] } },
       { query: 'tell me the date', tool: 'GET_DATE', params: {} },
       { query: 'read https://example.com', tool: 'READ_URL', params: { url: 'https://example.com' } },
       { query: 'hello', tool: 'RESPOND', params: { reply: 'Hello! How can I help you?' } },
@@ -35,7 +37,8 @@ USER MESSAGE: "${userMsg}"
 KNOWN FACTS:
 ${facts.map(f => `- ${f.type}: ${f.value}`).join("\n")}
 Available tools:
-- WEB_SEARCH: search the web
+- WEB_SEARCH: search the web; params: query, and optionally page, region ("us-en"), safeSearch (strict|moderate|off),
+  recency (day|week|month|year), sites / excludeSites (lists of domains)
 - READ_URL: fetch and parse a URL
 - GET_DATE: get current date/time
 - RESPOND: direct reply
@@ -46,7 +49,7 @@ Respond with JSON:
   "params": { /* tool parameters */ }
 }`;
 
-    const res = await model.generateContent(prompt);
+    const res = await model.generateContent(prompt, { signal });
     const text = await res.response.text();
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (!jsonMatch) throw new Error("No JSON in toolSelector response");
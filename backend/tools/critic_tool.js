@@ -46,7 +46,7 @@ module.exports = {
       }
       
       // Extract needed context
-      const { genAI } = context;
+      const { genAI, signal } = context;
       
       if (!genAI) {
         logger.warn('No LLM provider in context');
@@ -57,7 +57,7 @@ module.exports = {
       }
       
       // Get the model
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+      const model = genAI.getGenerativeModel({ role: "verification" });
       
       const prompt = `
 You are a critical evaluator for AI responses. Evaluate this proposed response:
@@ -98,7 +98,7 @@ Respond with a JSON object:
 }
 `;
 
-      const result = await model.generateContent(prompt);
+      const result = await model.generateContent(prompt, { signal });
       const text = await result.response.text();
       
       // Extract JSON object
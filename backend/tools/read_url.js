@@ -1,269 +1,232 @@
-const axios = require("axios");
 const iconv = require("iconv-lite");
-const cheerio = require("cheerio");
+const { cachedGet } = require("../httpCache");
+const { detectFormat, parsePdf, parseJson, parseFeed } = require("../contentParsers");
+const { chunkText, findSection } = require("../textChunks");
+const { extractContent } = require("../htmlExtractor");
+const { checkUrl, checkContentType, checkResponseHeaders, requestOptions, policyViolationOf } = require("../urlPolicy");
+const { checkRobots } = require("../robots");
+const { parseGitHubUrl, readGitHub } = require("../github");
+const { isRenderingEnabled, renderPage } = require("../pageRenderer");
+const config = require("../config");
 
-function isGitHubRepo(url) {
-  // Matches https://github.com/user/repo or https://github.com/user/repo/
-  return /^https?:\/\/github\.com\/[^/]+\/[^/]+\/?$/.test(url);
-}
+// Bounds for the maxChars parameter
+const MIN_CHARS = 200;
+const MAX_CHARS = 20000;
+// Chunks listed in meta.reading.chunks
+const MAX_OUTLINE = 50;
 
-function isGitHubProfile(url) {
-  // Matches https://github.com/user (with no additional path segments)
-  return /^https?:\/\/github\.com\/[^/]+\/?$/.test(url) && !isGitHubRepo(url);
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
 }
 
-async function fetchGitHubProfileData(url) {
-  try {
-    const username = url.split('/').pop().replace(/\/$/, '');
-    
-    // Fetch basic user info
-    const userResponse = await axios.get(`https://api.github.com/users/${username}`, {
-      headers: { 'User-Agent': 'AI-Agent' }
-    });
-    
-    // Fetch repositories
-    const reposResponse = await axios.get(`https://api.github.com/users/${username}/repos?sort=updated&per_page=5`, {
-      headers: { 'User-Agent': 'AI-Agent' }
-    });
-    
-    // Build comprehensive profile data
-    const profileData = {
-      user: userResponse.data,
-      repositories: reposResponse.data.map(repo => ({
-        name: repo.name,
-        description: repo.description || "No description provided",
-        stars: repo.stargazers_count,
-        forks: repo.forks_count,
-        language: repo.language,
-        updated_at: repo.updated_at,
-        url: repo.html_url
-      }))
-    };
-    
-    // Format as readable text
-    const formattedProfile = `
-GitHub Profile: ${profileData.user.name || username} (${profileData.user.login})
-${profileData.user.bio ? `Bio: ${profileData.user.bio}` : ''}
-${profileData.user.location ? `Location: ${profileData.user.location}` : ''}
-${profileData.user.company ? `Company: ${profileData.user.company}` : ''}
-Public Repositories: ${profileData.user.public_repos}
-Followers: ${profileData.user.followers}
-Following: ${profileData.user.following}
+/**
+ * Select the part of a page to return: a chunk by index, the first chunk of a
+ * section, or maxChars characters from offset.
+ * @param {string} text - Full page text
+ * @param {Object} params - { maxChars, offset, section, chunk } tool parameters
+ * @returns {Object} { text, reading } or { error }, where reading has totalChars,
+ *   offset, nextOffset, chunk, nextChunk and the chunk outline
+ */
+function selectWindow(text, { maxChars, offset, section, chunk }) {
+  const limit = clamp(parseInt(maxChars, 10) || config.readUrlMaxChars, MIN_CHARS, MAX_CHARS);
+  const chunks = chunkText(text, { maxChars: limit });
 
-Top Repositories:
-${profileData.repositories.map(repo => 
-  `- ${repo.name}: ${repo.description} 
-   Language: ${repo.language || 'Not specified'}, Stars: ${repo.stars}, Forks: ${repo.forks}
-   Updated: ${new Date(repo.updated_at).toLocaleDateString()}
-   URL: ${repo.url}`
-).join('\n\n')}
-    `;
-    
-    return { 
-      content: formattedProfile,
-      raw: profileData,
-      url: url
-    };
-  } catch (error) {
-    console.error(`GitHub API error: ${error.message}`);
-    // Fall back to HTML scraping if API fails
-    return null;
+  let selected = null;
+  if (chunk !== undefined && chunk !== null && chunk !== '') {
+    selected = chunks[parseInt(chunk, 10)];
+    if (!selected) {
+      return { error: `Chunk ${chunk} does not exist; the page has ${chunks.length} chunks (0-${chunks.length - 1}).` };
+    }
+  } else if (section) {
+    selected = findSection(chunks, section);
+    if (!selected) {
+      const sections = [...new Set(chunks.map(c => c.heading).filter(Boolean))].slice(0, 20);
+      return { error: `No section matching '${section}'. Sections: ${sections.join('; ') || 'none'}.` };
+    }
   }
-}
+  const start = selected ? selected.start : clamp(parseInt(offset, 10) || 0, 0, text.length);
+  const end = selected ? selected.end : Math.min(text.length, start + limit);
+  // The chunk the window ends in, for "read more" by chunk
+  const current = selected || [...chunks].reverse().find(c => c.start < end) || null;
 
-// PATCH: Try both README.md and README.MD in both main and master branches
-async function fetchReadmeFromGitHub(url) {
-  const match = url.match(/^https?:\/\/github\.com\/([^/]+)\/([^/]+)\/?$/);
-  if (!match) return null;
-  const user = match[1];
-  const repo = match[2];
-  const readmeNames = ["README.md", "README.MD"];
-  const branches = ["main", "master"];
-  
-  // First try the API approach
-  try {
-    const response = await axios.get(`https://api.github.com/repos/${user}/${repo}/readme`, {
-      headers: { 'User-Agent': 'AI-Agent', 'Accept': 'application/vnd.github.v3.raw' }
-    });
-    if (response.status === 200 && response.data) {
-      return { content: response.data, url: url, source: 'api' };
+  return {
+    text: text.slice(start, end) + (end < text.length ? "... [truncated]" : ''),
+    reading: {
+      totalChars: text.length,
+      offset: start,
+      nextOffset: end < text.length ? end : null,
+      chunk: current ? current.index : null,
+      nextChunk: current && current.index + 1 < chunks.length ? current.index + 1 : null,
+      chunks: chunks.slice(0, MAX_OUTLINE).map(c => ({ index: c.index, heading: c.heading, offset: c.start, chars: c.end - c.start }))
     }
-  } catch (e) {
-    // Continue to fallback methods
-  }
-  
-  // Fallback to raw content approach
-  for (const branch of branches) {
-    for (const name of readmeNames) {
-      const readmeUrl = `https://raw.githubusercontent.com/${user}/${repo}/${branch}/${name}`;
-      try {
-        const response = await axios.get(readmeUrl);
-        if (response.status === 200 && response.data) {
-          return { content: response.data, url: readmeUrl };
-        }
-      } catch (e) {
-        // Try next
-      }
+  };
+}
+
+// Decode a text response using the charset from its Content-Type header
+function decodeText(response) {
+  let charset = 'utf-8';
+  const contentType = response.headers['content-type'];
+  if (contentType) {
+    const matches = contentType.match(/charset=([^;]+)/);
+    if (matches && matches[1]) {
+      charset = matches[1].trim();
     }
   }
-  return null;
+  return iconv.decode(response.data, iconv.encodingExists(charset) ? charset : 'utf-8');
 }
 
-// Extract main content from HTML using a more robust approach
-function extractMainContent(html) {
-  const $ = cheerio.load(html);
-  
-  // Remove script and style elements
-  $('script, style, iframe, nav, footer, header, .header, .footer, .nav, .sidebar').remove();
-  
-  // Try to find main content container
-  const mainSelectors = [
-    'main', 
-    '[role="main"]', 
-    '#content', 
-    '.content', 
-    'article', 
-    '.article', 
-    '.post-content',
-    '.main',
-    '#main'
-  ];
-  
-  let mainContent = '';
-  
-  // Try each selector until we find content
-  for (const selector of mainSelectors) {
-    const element = $(selector);
-    if (element.length > 0) {
-      mainContent = element.text().trim();
-      break;
+/**
+ * Turn a fetched response into { title, bodyText, notes, ... } for its format.
+ * @param {string} format - From detectFormat
+ * @param {Object} response - cachedGet response with a Buffer body
+ * @param {Object} options - { pages, url }: page range for PDFs, page URL for resolving links
+ * @returns {Promise<Object>} Parsed content, or { error }
+ */
+async function parseResponse(format, response, { pages, url }) {
+  switch (format) {
+    case 'pdf': {
+      const pdf = await parsePdf(response.data, { pages }).catch(error => ({ error: `Could not read the PDF: ${error.message}` }));
+      return pdf.error ? pdf : { ...pdf, notes: `Extracted text from PDF pages ${pdf.pages.join(', ')} of ${pdf.pageCount}.` };
     }
-  }
-  
-  // If no main content found, extract from body with headings
-  if (!mainContent || mainContent.length < 100) {
-    let bodyText = '';
-    
-    // Get the title
-    const title = $('title').first().text().trim();
-    if (title) bodyText += `Title: ${title}\n\n`;
-    
-    // Get meta description
-    const description = $('meta[name="description"]').attr('content');
-    if (description) bodyText += `Description: ${description}\n\n`;
-    
-    // Extract headings and associated content
-    $('h1, h2, h3, h4, h5, h6').each((i, el) => {
-      const headingText = $(el).text().trim();
-      if (headingText) {
-        bodyText += `${headingText}\n`;
-        
-        // Get next elements until next heading
-        let next = $(el).next();
-        while (next.length > 0 && !next.is('h1, h2, h3, h4, h5, h6')) {
-          if (next.is('p, li, div')) {
-            const text = next.text().trim();
-            if (text) bodyText += `${text}\n`;
-          }
-          next = next.next();
-        }
-        bodyText += '\n';
-      }
-    });
-    
-    // If we still don't have much content, fall back to all paragraphs
-    if (bodyText.length < 100) {
-      bodyText = '';
-      $('p, li').each((i, el) => {
-        const text = $(el).text().trim();
-        if (text) bodyText += `${text}\n\n`;
-      });
+    case 'json': {
+      const json = parseJson(decodeText(response));
+      return json.error ? json : { ...json, notes: json.summarized ? "Pretty-printed JSON document, preceded by an outline of its structure." : "Pretty-printed JSON document." };
+    }
+    case 'feed': {
+      const feed = parseFeed(decodeText(response));
+      return { ...feed, notes: `Parsed ${feed.items.length} items from ${feed.feedType === 'atom' ? 'an Atom' : 'an RSS'} feed.` };
+    }
+    case 'markdown':
+    case 'text':
+      return { title: '', bodyText: decodeText(response), notes: `Returned ${format} content as is.` };
+    default: {
+      const { title, markdown } = extractContent(decodeText(response), url);
+      return { title, bodyText: markdown, notes: "Extracted the main content of the HTML page as Markdown." };
     }
-    
-    mainContent = bodyText.trim();
   }
-  
-  return mainContent;
+}
+
+// Content type violation of a downloaded response. PDFs are often served as
+// application/octet-stream, so a PDF body passes whatever its Content-Type.
+function unreadableType(response, url) {
+  const contentType = response.headers['content-type'];
+  return detectFormat(contentType, url, response.data) === 'pdf' ? null : checkContentType(contentType);
+}
+
+// Result for a fetch the URL policy or robots.txt refused; meta.policy says which rule
+function policyResult(url, violation) {
+  return {
+    result: null,
+    error: `${violation.rule === 'robots' ? 'Not fetched' : 'Blocked by the URL policy'}: ${violation.message}.`,
+    meta: { sourceUrl: url, notes: "The URL policy refused this fetch.", policy: violation }
+  };
 }
 
 module.exports = {
   name: "READ_URL",
-  description: "Retrieve content from a URL and return its title and main body text. For GitHub repos, attempts to fetch README.md.",
+  description: "Retrieve content from a URL and return its title and main body text. Handles HTML, PDF (optional pages param, e.g. \"1-3,5\"), JSON, RSS/Atom feeds, Markdown and plain text. GitHub links (profiles, repos with their README, issues, pull requests, files, directories, releases, gists) are read through the GitHub API as Markdown. " +
+    "Long pages are returned in parts: maxChars sets the part size, and offset, chunk (index) or section (heading text) " +
+    "select the part; meta.reading gives nextOffset / nextChunk to read more and the list of chunks with their headings.",
   meta: {
-    supports: ["HTML", "Markdown", "GitHub"],
+    supports: ["HTML", "PDF", "JSON", "RSS", "Atom", "Markdown", "Text", "GitHub"],
     notes: "Enhanced with GitHub API integration and robust content extraction"
   },
   parametersSchema: {
-    url: { type: "string", required: true }
+    url: { type: "string", required: true },
+    pages: { type: "string", required: false },
+    maxChars: { type: "number", required: false },
+    offset: { type: "number", required: false },
+    chunk: { type: "number", required: false },
+    section: { type: "string", required: false }
   },
-  async run({ url }, context) {
+  async run(params, context) {
+    const { url, pages } = params;
+    const signal = context && context.signal;
+    const blocked = await checkUrl(url);
+    if (blocked) return policyResult(url, blocked);
     try {
-      // Handle GitHub profile pages
-      if (isGitHubProfile(url)) {
-        const profileData = await fetchGitHubProfileData(url);
-        if (profileData) {
-          return {
-            result: profileData.content,
-            error: null,
-            meta: { 
-              contentType: "github-profile", 
-              sourceUrl: url, 
-              notes: "Fetched GitHub profile data using GitHub API",
-              raw: profileData.raw
-            }
-          };
-        }
-      }
-      
-      // Handle GitHub repos
-      if (isGitHubRepo(url)) {
-        const readme = await fetchReadmeFromGitHub(url);
-        if (readme) {
+      // GitHub links are read through the API; scraping the page is the fallback
+      const githubLink = parseGitHubUrl(url);
+      if (githubLink) {
+        const page = await readGitHub(githubLink, { signal }).catch(error => {
+          if (signal) signal.throwIfAborted();
+          console.error(`GitHub API error: ${error.message}`);
+          return null;
+        });
+        if (page) {
+          const pageWindow = selectWindow(page.markdown, params);
+          const meta = { contentType: `github-${githubLink.type}`, sourceUrl: url, cache: page.cache, rateLimit: page.rateLimit };
+          if (pageWindow.error) return { result: null, error: pageWindow.error, meta };
           return {
-            result: readme.content,
+            result: { title: page.title, bodyText: pageWindow.text },
             error: null,
-            meta: { 
-              contentType: "markdown", 
-              sourceUrl: readme.url, 
-              notes: `Fetched README.md from GitHub repo using ${readme.source || 'raw content'}.` 
-            }
+            meta: { ...meta, notes: page.notes, reading: pageWindow.reading }
           };
         }
       }
       
-      // Fallback: fetch and parse as HTML
-      const response = await axios.get(url, {
+      // Fallback: fetch the URL and parse it according to its format
+      const disallowed = await checkRobots(url, { signal });
+      if (disallowed) return policyResult(url, disallowed);
+      const response = await cachedGet(url, {
+        ...requestOptions(),
         responseType: 'arraybuffer',
         headers: { 'User-Agent': 'Mozilla/5.0 (compatible; AI-Agent/1.0)' },
-        timeout: 10000
+        timeout: 10000,
+        signal
+      }, {
+        // Unreadable types are refused before the download, and never cached
+        checkHeaders: checkResponseHeaders,
+        cacheable: response => !unreadableType(response, url)
       });
       
-      let charset = 'utf-8';
-      const contentType = response.headers['content-type'];
-      if (contentType) {
-        const matches = contentType.match(/charset=([^;]+)/);
-        if (matches && matches[1]) {
-          charset = matches[1].trim();
-        }
+      const format = detectFormat(response.headers['content-type'], url, response.data);
+      // Catches application/octet-stream bodies that are no PDF
+      const badType = unreadableType(response, url);
+      if (badType) return policyResult(url, badType);
+      const parsed = await parseResponse(format, response, { pages, url });
+      const contentType = parsed.feedType || format;
+      if (parsed.error) {
+        return {
+          result: null,
+          error: parsed.error,
+          meta: { contentType, sourceUrl: url, notes: `Failed to parse ${contentType} content.`, cache: response.cache, throttle: response.throttle }
+        };
       }
-      const decodedData = iconv.decode(response.data, charset);
-      const $ = cheerio.load(decodedData);
-      const title = $('title').first().text().trim();
       
-      // Extract main content from raw HTML
-      const bodyText = extractMainContent(decodedData);
+      // Pages that build their content with JavaScript come back nearly empty; render those
+      let rendered = false;
+      if (format === 'html' && parsed.bodyText.trim().length < config.renderMinChars && isRenderingEnabled()) {
+        const page = await renderPage(url, { signal }).catch(error => {
+          if (signal) signal.throwIfAborted();
+          console.error(`[READ_URL] Rendering ${url} failed: ${error.message}`);
+          return null;
+        });
+        const extracted = page && extractContent(page.html, page.finalUrl);
+        if (extracted && extracted.markdown.length > parsed.bodyText.length) {
+          parsed.title = extracted.title || parsed.title;
+          parsed.bodyText = extracted.markdown;
+          parsed.notes = "Rendered the page in a headless browser and extracted its main content as Markdown.";
+          rendered = true;
+        }
+      }
       
-      // PATCH: Limit bodyText to first 3000 characters
-      const truncatedBody = bodyText.length > 3000 
-        ? bodyText.slice(0, 3000) + "... [truncated]"
-        : bodyText;
+      // Return the requested part of long content
+      const { notes, feedType, ...result } = parsed;
+      const bodyWindow = selectWindow(result.bodyText, params);
+      if (bodyWindow.error) {
+        return { result: null, error: bodyWindow.error, meta: { contentType, sourceUrl: url, cache: response.cache, throttle: response.throttle } };
+      }
+      result.bodyText = bodyWindow.text;
       
       return {
-        result: { title, bodyText: truncatedBody },
+        result,
         error: null,
-        meta: { contentType: "html", sourceUrl: url, notes: "Fetched and parsed HTML content using enhanced extraction." }
+        meta: { contentType, sourceUrl: url, notes, cache: response.cache, throttle: response.throttle, rendered, reading: bodyWindow.reading }
       };
     } catch (error) {
+      const violation = policyViolationOf(error);
+      if (violation) return policyResult(url, violation);
       // PATCH: Map common network errors to user-friendly messages
       let userMessage = error.message;
       if (userMessage.includes('ENOTFOUND') || userMessage.includes('getaddrinfo')) {
@@ -278,7 +241,7 @@ module.exports = {
       return {
         result: null,
         error: userMessage,
-        meta: { sourceUrl: url, notes: "Failed to fetch or parse content." }
+        meta: { sourceUrl: url, notes: "Failed to fetch or parse content.", throttle: error.throttle }
       };
     }
   }
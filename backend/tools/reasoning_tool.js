@@ -46,7 +46,7 @@ module.exports = {
       }
       
       // Extract needed context
-      const { userMsg, toolHistory, reasoningLog, genAI } = context;
+      const { userMsg, toolHistory, reasoningLog, genAI, signal } = context;
       const maxSteps = params.max_steps || 5;
       
       if (!genAI) {
@@ -59,7 +59,7 @@ module.exports = {
       }
       
       // Get the model
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
+      const model = genAI.getGenerativeModel({ role: "cot" });
       
       // First, determine the reasoning approach
       const approachPrompt = `
@@ -79,7 +79,7 @@ Respond with a JSON object describing your reasoning approach:
 }
 `;
 
-      const approachResult = await model.generateContent(approachPrompt);
+      const approachResult = await model.generateContent(approachPrompt, { signal });
       const approachText = await approachResult.response.text();
       
       // Extract JSON object
@@ -113,7 +113,7 @@ Let me reason through each step:
 
 `;
 
-      const reasoningResult = await model.generateContent(reasoningPrompt);
+      const reasoningResult = await model.generateContent(reasoningPrompt, { signal });
       const reasoning = await reasoningResult.response.text();
       
       // Extract the steps and conclusion
@@ -138,7 +138,7 @@ Let me verify my solution:
 Based on this verification, my final answer is:
 `;
 
-      const verificationResult = await model.generateContent(verificationPrompt);
+      const verificationResult = await model.generateContent(verificationPrompt, { signal });
       const verification = await verificationResult.response.text();
       
       // Extract the answer after 'final answer is:', otherwise fall back to the full verification text
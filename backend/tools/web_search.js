@@ -1,59 +1,118 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
 const { URL } = require('url');
+const config = require('../config');
+const searchProviders = require('../searchProviders');
+const { normalizeSearchOptions, applySiteOperators, matchesSiteFilters } = require('../searchOptions');
+const { rankResults } = require('../searchRanking');
+
+// Ranking picks a page from a pool of up to this many pages, fetched in one request
+const POOL_PAGES = 3;
+// Most results every provider returns for one request (Brave's limit)
+const MAX_POOL_SIZE = 20;
+
+// Providers named in SEARCH_PROVIDERS, in the order they are tried. Providers
+// that are unknown or not configured (e.g. missing API key) are skipped.
+const providerChain = config.searchProviders.flatMap(name => {
+  const providerModule = searchProviders[name];
+  if (!providerModule) {
+    console.error(`[WEB_SEARCH] Unknown search provider '${name}'. Available: ${Object.keys(searchProviders).join(', ')}`);
+    return [];
+  }
+  try {
+    return [providerModule.create(config)];
+  } catch (error) {
+    console.error(`[WEB_SEARCH] Search provider '${name}' disabled: ${error.message}`);
+    return [];
+  }
+});
+
+// Provider request for the pool holding the page at options.offset. Pools are whole
+// pages, aligned to their size, so consecutive pages come from the same ranked pool
+// and do not overlap; start is the page's position in its pool.
+function poolFor(options) {
+  const size = options.count * Math.max(1, Math.min(POOL_PAGES, Math.floor(MAX_POOL_SIZE / options.count)));
+  const offset = Math.floor(options.offset / size) * size;
+  return { options: { ...options, offset, count: size }, start: options.offset - offset };
+}
 
 module.exports = {
   name: "WEB_SEARCH",
-  description: "Search the internet for the given query and return relevant results.",
+  description: "Search the internet for the given query and return relevant results. Optional params: " +
+    "page (1-based) or offset, count (results per page, max 20), region (e.g. \"us-en\" or \"en-GB\"), " +
+    "safeSearch (strict|moderate|off), recency (day|week|month|year, e.g. \"day\" for news or exchange rates), " +
+    "sites / excludeSites (domains to restrict to or leave out).",
   parametersSchema: {
     search_query: { type: "string", required: false },
-    query: { type: "string", required: false }
+    query: { type: "string", required: false },
+    page: { type: "number", required: false },
+    offset: { type: "number", required: false },
+    count: { type: "number", required: false },
+    region: { type: "string", required: false },
+    safeSearch: { type: "string", required: false },
+    recency: { type: "string", required: false },
+    sites: { type: "array", required: false },
+    excludeSites: { type: "array", required: false }
   },
   async run(params, context) {
+    const signal = context && context.signal;
     try {
       const search_query = params.search_query || params.query;
       
       if (!search_query) {
         return { error: 'Missing search_query parameter.' };
       }
+      const { options, error: optionsError } = normalizeSearchOptions(params);
+      if (optionsError) {
+        return { error: optionsError, results: [] };
+      }
+      if (providerChain.length === 0) {
+        return { error: 'No search provider is configured. Set SEARCH_PROVIDERS.', results: [] };
+      }
       
       // Log the search query
       console.log(`[WEB_SEARCH] Searching for: ${search_query}`);
       
-      // Try multiple search engines in sequence with fallbacks
+      // Try the providers in order until one returns results. Site filters are sent as
+      // site: operators and enforced again here, since not every engine honours them
+      const providerQuery = applySiteOperators(search_query, options);
+      const pool = poolFor(options);
       let results = [];
-      let currentMethod = 'primary';
-      
-      // Try DuckDuckGo first
-      try {
-        results = await searchDuckDuckGo(search_query);
-        console.log(`[WEB_SEARCH] DuckDuckGo found ${results.length} results`);
-      } catch (duckError) {
-        console.error(`[WEB_SEARCH] DuckDuckGo error: ${duckError.message}`);
-        currentMethod = 'fallback';
-        
-        // Try fallback search method
+      let provider = null;
+      let cache = 'bypass';
+      let throttle;
+      const errors = [];
+      for (const candidate of providerChain) {
         try {
-          results = await searchUsingFallback(search_query);
-          console.log(`[WEB_SEARCH] Fallback search found ${results.length} results`);
-        } catch (fallbackError) {
-          console.error(`[WEB_SEARCH] Fallback search error: ${fallbackError.message}`);
-          
-          // If all search methods fail, return meaningful error
-          return { 
-            error: 'All search methods failed. This could be due to network issues or search rate limiting.',
-            errorDetails: [duckError.message, fallbackError.message],
-            results: []
-          };
+          ({ results, cache, throttle } = await candidate.search(providerQuery, pool.options, { signal }));
+          results = results.filter(result => matchesSiteFilters(result.url, options));
+          provider = candidate.name;
+          console.log(`[WEB_SEARCH] ${candidate.name} found ${results.length} results`);
+          if (results.length > 0) break;
+        } catch (providerError) {
+          if (signal) signal.throwIfAborted();
+          console.error(`[WEB_SEARCH] ${candidate.name} error: ${providerError.message}`);
+          errors.push(`${candidate.name}: ${providerError.message}`);
         }
       }
       
+      // If all providers failed, return meaningful error
+      if (!provider) {
+        return { 
+          error: 'All search providers failed. This could be due to network issues or search rate limiting.',
+          errorDetails: errors,
+          results: []
+        };
+      }
+      
+      // Rank and dedupe the pool, then select the requested page from it
+      results = rankResults(results, search_query).slice(pool.start, pool.start + options.count);
+      
       // If no results from all methods, return empty results with message
       if (results.length === 0) {
         return {
           results: [],
           message: `No results found for query: ${search_query}. Try a different search term.`,
-          searchMethod: currentMethod
+          provider,
+          meta: { cache, throttle }
         };
       }
       
@@ -71,14 +130,13 @@ module.exports = {
         }
       });
       
-      // Limit to top 5 results
-      results = results.slice(0, 5);
-      
       return { 
         results,
         query: search_query,
         resultCount: results.length,
-        searchMethod: currentMethod
+        offset: options.offset,
+        provider,
+        meta: { cache, throttle }
       };
     } catch (error) {
       console.error(`[WEB_SEARCH] Error: ${error.message}`);
@@ -105,113 +163,3 @@ module.exports = {
     }
   }
 };
-
-// DuckDuckGo search function
-async function searchDuckDuckGo(query) {
-  const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
-  const response = await axios.get(url, { 
-    headers: { 
-      "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.114 Safari/537.36",
-      "Accept": "text/html,application/xhtml+xml,application/xml",
-      "Accept-Language": "en-US,en;q=0.9"
-    },
-    timeout: 15000
-  });
-  
-  const $ = cheerio.load(response.data);
-  let results = [];
-  
-  // Check for CAPTCHA or robot detection
-  const bodyText = $('body').text();
-  if (bodyText.includes('robot') || bodyText.includes('captcha') || bodyText.includes('blocked')) {
-    throw new Error("Search engine detected automated access");
-  }
-  
-  // Enhanced result extraction with proper redirect parsing
-  $(".result").each((i, el) => {
-    const title = $(el).find("a.result__a").text().trim();
-    const rawHref = $(el).find("a.result__a").attr("href");
-    let url = rawHref;
-    if (rawHref) {
-      try {
-        const parsedUrl = new URL(rawHref, 'https://html.duckduckgo.com');
-        // If it's a DuckDuckGo redirect, extract 'uddg' or ad redirect 'u3'
-        let target = null;
-        if (parsedUrl.hostname.includes('duckduckgo.com')) {
-          target = parsedUrl.searchParams.get('uddg') || parsedUrl.searchParams.get('u3');
-        }
-        if (target) {
-          url = decodeURIComponent(target);
-        } else if (!parsedUrl.hostname.includes('duckduckgo.com')) {
-          url = parsedUrl.href;
-        }
-      } catch (err) {
-        // Fallback regex for uddg or u3 params
-        const regexMatch = rawHref.match(/[?&](?:uddg|u3)=([^&]+)/);
-        url = regexMatch && regexMatch[1] ? decodeURIComponent(regexMatch[1]) : rawHref;
-      }
-      // Handle Bing ad redirects (e.g., bing.com/aclick?u=...)
-      try {
-        const tmp = new URL(url);
-        if (tmp.hostname.includes('bing.com') && tmp.pathname.startsWith('/aclick')) {
-          const real = tmp.searchParams.get('u');
-          if (real) url = decodeURIComponent(real);
-        }
-      } catch (_) {}
-    }
-    
-    // Extract snippet
-    const snippet = $(el).find(".result__snippet").text().trim();
-    
-    if (title && url) {
-      results.push({ title, url, snippet: snippet || "No description provided" });
-    }
-  });
-  
-  // Filter out any remaining DuckDuckGo or Bing redirect URLs
-  results = results.filter(r => {
-    try {
-      const h = new URL(r.url).hostname;
-      return !h.includes('duckduckgo.com') && !h.includes('bing.com');
-    } catch {
-      return true;
-    }
-  });
-  
-  // If no results from primary selector, try alternative selectors
-  if (results.length === 0) {
-    $(".web-result").each((i, el) => {
-      const title = $(el).find("a.web-result__title").text().trim();
-      let url = $(el).find("a.web-result__title").attr("href");
-      const snippet = $(el).find(".web-result__snippet").text().trim();
-      
-      if (title && url) {
-        results.push({ title, url, snippet: snippet || "No description provided" });
-      }
-    });
-  }
-  
-  return results;
-}
-
-// Fallback search implementation
-async function searchUsingFallback(query) {
-  // This is a simple mock implementation that could be replaced with an actual
-  // alternative search API like Bing, Google Custom Search, etc.
-  console.log(`[FALLBACK_SEARCH] Attempting with query: ${query}`);
-  
-  // Mock response with generic information
-  // In production, this should be replaced with a real API call
-  const mockResults = [
-    {
-      title: `Information about ${query}`,
-      url: `https://example.com/search?q=${encodeURIComponent(query)}`,
-      snippet: `This is a fallback result about ${query}. In a production environment, this would connect to a real alternative search API.`
-    }
-  ];
-  
-  // Simulate network delay for testing
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  return mockResults;
-} 
\ No newline at end of file
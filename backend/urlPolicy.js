@@ -0,0 +1,187 @@
+/* backend/urlPolicy.js */
+// Which URLs READ_URL may fetch. Hosts must resolve to public addresses (no localhost,
+// cloud metadata or private networks), must pass the allow/deny domain lists, and
+// redirects, response size and content types are capped.
+const dns = require('dns');
+const net = require('net');
+const config = require('./config');
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges.
+// IPv6 ranges that embed an IPv4 address (IPv4-compatible ::/96, NAT64, 6to4) are
+// blocked whole; IPv4-mapped addresses are checked as IPv4.
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Content types READ_URL can parse; a missing Content-Type is sniffed instead
+const ALLOWED_CONTENT_TYPES = /^(text\/[\w.+-]+|application\/(xhtml\+xml|xml|json|[\w.-]+\+json|[\w.-]+\+xml|pdf|x-ndjson))$/;
+
+// Error for a fetch the policy refused; rule is 'protocol', 'domain', 'address' or 'content-type'
+function policyError(rule, message) {
+  const error = new Error(message);
+  error.code = 'EURLPOLICY';
+  error.policy = { rule };
+  return error;
+}
+
+/**
+ * The policy violation behind a failed request, if any. Errors raised inside axios
+ * (lookup, redirects) arrive wrapped in other errors.
+ * @param {Error} error
+ * @returns {Object|null} { rule, message }, where rule is 'protocol', 'domain',
+ *   'address', 'redirect', 'size' or 'content-type'
+ */
+function policyViolationOf(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.code === 'EURLPOLICY') return { rule: current.policy.rule, message: current.message };
+    if (current.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+      return { rule: 'redirect', message: `More than ${config.urlMaxRedirects} redirects` };
+    }
+    if (/maxContentLength/.test(current.message)) {
+      return { rule: 'size', message: `The response is larger than ${config.urlMaxResponseBytes} bytes` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether an IP address is local, private or reserved.
+ * @param {string} address - IPv4 or IPv6 address; anything else is not blocked
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const type = net.isIP(address);
+  if (type === 0) return false;
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_RANGES.check(mapped[1], 'ipv4');
+  return BLOCKED_RANGES.check(address, type === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Host equals the domain or is one of its subdomains
+function matchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Check a URL's protocol and host against the domain lists, and a literal IP host
+ * against the blocked ranges; names are checked when they are resolved (see lookup).
+ * @param {string} protocol - e.g. 'https:'
+ * @param {string} hostname
+ * @throws {Error} Policy error (see policyViolationOf)
+ */
+function checkHost(protocol, hostname) {
+  if (!['http:', 'https:'].includes(protocol)) {
+    throw policyError('protocol', `Only http and https URLs can be read, not ${protocol}`);
+  }
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (config.urlDenyDomains.some(domain => matchesDomain(host, domain))) {
+    throw policyError('domain', `${host} is on the URL deny list`);
+  }
+  if (config.urlAllowDomains.length > 0 && !config.urlAllowDomains.some(domain => matchesDomain(host, domain))) {
+    throw policyError('domain', `${host} is not on the URL allow list`);
+  }
+  if (!config.urlAllowPrivate && (host === 'localhost' || host.endsWith('.localhost') || isBlockedAddress(host))) {
+    throw policyError('address', `${host} is a local or private address`);
+  }
+}
+
+/**
+ * dns.lookup replacement for requests: refuses hosts that resolve to a blocked address.
+ * Checking at connect time also covers redirects and DNS rebinding.
+ */
+function lookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = config.urlAllowPrivate ? null : addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(policyError('address', `${hostname} resolves to the private address ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check a URL before fetching it: protocol, domain lists and its DNS resolution.
+ * @param {string} url
+ * @returns {Promise<Object|null>} null when allowed, else { rule, message }
+ */
+async function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { rule: 'protocol', message: `Invalid URL '${url}'` };
+  }
+  try {
+    checkHost(parsed.protocol, parsed.hostname);
+    if (!config.urlAllowPrivate && net.isIP(parsed.hostname.replace(/^\[|\]$/g, '')) === 0) {
+      const addresses = await dns.promises.lookup(parsed.hostname, { all: true });
+      const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+      if (blocked) throw policyError('address', `${parsed.hostname} resolves to the private address ${blocked.address}`);
+    }
+  } catch (error) {
+    // DNS failures are left for the fetch to report
+    return policyViolationOf(error);
+  }
+  return null;
+}
+
+/**
+ * Check a response's Content-Type against the types READ_URL can read.
+ * @param {string} contentType - Content-Type header (may be empty)
+ * @returns {Object|null} null when allowed, else { rule, message }
+ */
+function checkContentType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (!type || ALLOWED_CONTENT_TYPES.test(type)) return null;
+  return { rule: 'content-type', message: `Content type ${type} cannot be read` };
+}
+
+/**
+ * Refuse a response from its headers, before the body is downloaded (httpClient's
+ * checkHeaders). application/octet-stream passes: it may be a PDF, recognized from
+ * its first bytes.
+ * @param {Object} headers - Response headers
+ * @throws {Error} Policy error with rule 'content-type'
+ */
+function checkResponseHeaders(headers) {
+  const contentType = headers['content-type'];
+  if (/^application\/octet-stream\s*(;|$)/i.test(String(contentType || ''))) return;
+  const violation = checkContentType(contentType);
+  if (violation) throw policyError(violation.rule, violation.message);
+}
+
+/**
+ * axios options that enforce the policy on the request itself: the address check at
+ * connect time, and the redirect and response size caps.
+ * @returns {Object}
+ */
+function requestOptions() {
+  return {
+    lookup,
+    maxRedirects: config.urlMaxRedirects,
+    maxContentLength: config.urlMaxResponseBytes,
+    // Literal IP targets never reach lookup
+    beforeRedirect: options => checkHost(options.protocol, options.hostname)
+  };
+}
+
+module.exports = {
+  checkUrl,
+  checkHost,
+  isBlockedAddress,
+  lookup,
+  checkContentType,
+  checkResponseHeaders,
+  requestOptions,
+  policyViolationOf
+};
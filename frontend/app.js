@@ -2,16 +2,36 @@
 // Main chat application logic with WhatsApp-style UI
 
 document.addEventListener('DOMContentLoaded', () => {
+  // WebSocket protocol version (see backend/protocol.js)
+  const PROTOCOL_VERSION = 1;
+
   // DOM element references
   const messagesEl = document.getElementById('messages');
   const userInputEl = document.getElementById('userInput');
   const sendButtonEl = document.getElementById('sendButton');
+  const stopButtonEl = document.getElementById('stopButton');
   const clearChatButtonEl = document.getElementById('clearChatButton');
   const copyToastEl = document.getElementById('copyToast');
 
   // State
   let chatHistory = [];
   let waitingForResponse = false;
+  // Identity sent with the WebSocket connection and API calls: an access token when
+  // the server requires one (pass it once as ?token=...), else a per-browser user ID
+  const urlToken = new URLSearchParams(window.location.search).get('token');
+  if (urlToken) localStorage.setItem('authToken', urlToken);
+  const authToken = localStorage.getItem('authToken');
+  const userId = localStorage.getItem('userId') || newId();
+  localStorage.setItem('userId', userId);
+  // Conversation shown in the chat pane; its history is stored server-side
+  let currentSessionId = localStorage.getItem('currentSessionId') || newId();
+  // History saved in localStorage by older versions, sent once to seed the session
+  let pendingSeedHistory = null;
+  // Agent message currently being streamed via { delta } frames
+  let streamingMsgEl = null;
+  let streamingText = '';
+  // ID of the request currently running on the server (for cancellation)
+  let currentRequestId = null;
 
   // Modal & typing indicator setup
   const clearConfirmModalEl = document.getElementById('clearConfirmModal');
@@ -77,9 +97,121 @@ document.addEventListener('DOMContentLoaded', () => {
     messagesEl.scrollTop = messagesEl.scrollHeight;
     // Replace Feather placeholders with actual SVGs
     if (window.feather) feather.replace();
+    return msg;
+  }
+
+  // Streaming helpers: render partial markdown as deltas arrive
+  function appendStreamDelta(delta) {
+    if (!streamingMsgEl) {
+      // First token: swap the typing indicator for a live agent message
+      if (messagesEl.contains(typingIndicatorEl)) {
+        messagesEl.removeChild(typingIndicatorEl);
+      }
+      streamingText = '';
+      streamingMsgEl = addMessage('agent', '', true);
+    }
+    streamingText += delta;
+    streamingMsgEl.innerHTML = DOMPurify.sanitize(marked.parse(streamingText));
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+  }
+
+  function resetStream() {
+    // Server discarded the streamed draft; remove it and keep waiting
+    if (streamingMsgEl) {
+      streamingMsgEl.parentElement.remove();
+    }
+    streamingMsgEl = null;
+    streamingText = '';
+    if (waitingForResponse && !messagesEl.contains(typingIndicatorEl)) {
+      messagesEl.appendChild(typingIndicatorEl);
+      if (window.feather) feather.replace();
+      messagesEl.scrollTop = messagesEl.scrollHeight;
+    }
+  }
+
+  // Citations: [n] markers in an answer link to sources[n], listed as footnotes below it
+  function citationLink(source) {
+    const citation = document.createElement('sup');
+    citation.className = 'citation';
+    const link = document.createElement('a');
+    link.textContent = `[${source.id}]`;
+    if (/^https?:\/\//i.test(source.url)) link.href = source.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    // Hover preview: title, snippet and site
+    const preview = document.createElement('span');
+    preview.className = 'citation-preview';
+    const title = document.createElement('strong');
+    title.textContent = source.title || source.url;
+    const snippet = document.createElement('span');
+    snippet.textContent = source.snippet || '';
+    const site = document.createElement('small');
+    try { site.textContent = new URL(source.url).hostname; } catch (e) { site.textContent = source.url; }
+    preview.append(title, snippet, site);
+    citation.append(link, preview);
+    return citation;
+  }
+
+  function addCitations(msgEl, sources) {
+    if (!sources || sources.length === 0) return;
+    const byId = new Map(sources.map(source => [source.id, source]));
+    // Collect first: replacing nodes while walking would end the walk
+    const walker = document.createTreeWalker(msgEl, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      if (!walker.currentNode.parentElement.closest('code, pre, a')) textNodes.push(walker.currentNode);
+    }
+    textNodes.forEach(node => {
+      const parts = node.textContent.split(/(\[\d+(?:\s*,\s*\d+)*\])/);
+      if (parts.length === 1) return;
+      const fragment = document.createDocumentFragment();
+      parts.forEach(part => {
+        const ids = /^\[[\d,\s]+\]$/.test(part) ? part.slice(1, -1).split(',').map(Number) : [];
+        if (ids.length > 0 && ids.every(id => byId.has(id))) {
+          ids.forEach(id => fragment.appendChild(citationLink(byId.get(id))));
+        } else {
+          fragment.appendChild(document.createTextNode(part));
+        }
+      });
+      node.replaceWith(fragment);
+    });
+
+    const footnotes = document.createElement('ol');
+    footnotes.className = 'footnotes';
+    sources.forEach(source => {
+      const item = document.createElement('li');
+      item.value = source.id;
+      const link = document.createElement('a');
+      link.textContent = source.title || source.url;
+      if (/^https?:\/\//i.test(source.url)) link.href = source.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      item.appendChild(link);
+      footnotes.appendChild(item);
+    });
+    msgEl.appendChild(footnotes);
   }
 
   // UI helpers
+  // Random ID for requests and sessions (letters, digits and '-')
+  function newId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  // fetch() with the user's identity attached
+  function apiFetch(url, options = {}) {
+    const headers = authToken ? { Authorization: `Bearer ${authToken}` } : { 'X-User-Id': userId };
+    return fetch(url, { ...options, headers: { ...headers, ...options.headers } });
+  }
+
+  // Swap Send for Stop while a pipeline run is active
+  function setRunActive(active) {
+    sendButtonEl.hidden = active;
+    stopButtonEl.hidden = !active;
+    stopButtonEl.disabled = false;
+  }
+
   function showThinking() {
     userInputEl.placeholder = '🤖 Thinking...';
     userInputEl.disabled = true;
@@ -101,27 +233,42 @@ document.addEventListener('DOMContentLoaded', () => {
     userInputEl.placeholder = 'Type your message...';
     userInputEl.disabled = false;
     sendButtonEl.disabled = false;
+    setRunActive(false);
+    currentRequestId = null;
     userInputEl.focus();
   }
 
-  // Chat history persistence
-  function loadHistory() {
-    const stored = localStorage.getItem('chatHistoryJSON');
-    if (stored) {
+  // Chat history persistence: conversations live in the server's session store
+  async function loadHistory() {
+    messagesEl.innerHTML = '';
+    chatHistory = [];
+    const legacy = localStorage.getItem('chatHistoryJSON');
+    if (legacy) {
       try {
-        chatHistory = JSON.parse(stored);
-        chatHistory.forEach(item => {
-          const content = item.role === 'agent' ? DOMPurify.sanitize(marked.parse(item.text)) : item.text;
-          addMessage(item.role === 'user' ? 'user' : 'agent', content, item.role === 'agent');
-        });
+        chatHistory = JSON.parse(legacy);
+        pendingSeedHistory = chatHistory.slice();
       } catch (e) {
         chatHistory = [];
       }
+    } else {
+      try {
+        const res = await apiFetch(`/api/sessions/${encodeURIComponent(currentSessionId)}`);
+        if (res.ok) {
+          chatHistory = (await res.json()).history;
+        }
+      } catch (e) {
+        addMessage('system', 'Could not load conversation history.', false);
+      }
     }
+    chatHistory.forEach(item => {
+      const content = item.role === 'agent' ? DOMPurify.sanitize(marked.parse(item.text)) : item.text;
+      const msgEl = addMessage(item.role === 'user' ? 'user' : 'agent', content, item.role === 'agent');
+      if (item.role === 'agent') addCitations(msgEl, item.sources);
+    });
   }
 
   function saveHistory() {
-    localStorage.setItem('chatHistoryJSON', JSON.stringify(chatHistory));
+    localStorage.setItem('currentSessionId', currentSessionId);
   }
 
   function clearHistory() {
@@ -133,8 +280,8 @@ document.addEventListener('DOMContentLoaded', () => {
   function sendMsgWithTimeout() {
     const msg = userInputEl.value.trim();
     if (!msg || waitingForResponse) return;
-    if (socket.readyState !== WebSocket.OPEN) {
-      addMessage('system', 'Connection lost. Please refresh.', false);
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      addMessage('system', 'Not connected to server. Please wait for the connection to come back.', false);
       return;
     }
     // Disable input immediately
@@ -142,6 +289,8 @@ document.addEventListener('DOMContentLoaded', () => {
     sendButtonEl.disabled = true;
     userInputEl.placeholder = '🤖 Thinking...';
     waitingForResponse = true;
+    currentRequestId = newId();
+    setRunActive(true);
 
     // Add a 30-second timeout for server response
     const responseTimeout = setTimeout(() => {
@@ -161,7 +310,20 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     };
 
-    socket.send(JSON.stringify({ message: msg, history: chatHistory }));
+    socket.send(JSON.stringify({
+      version: PROTOCOL_VERSION,
+      type: 'chat',
+      requestId: currentRequestId,
+      sessionId: currentSessionId,
+      message: msg,
+      history: pendingSeedHistory || undefined,
+      mode: pipelineModeSelectEl.value || undefined
+    }));
+    if (pendingSeedHistory) {
+      // The server now owns this history
+      pendingSeedHistory = null;
+      localStorage.removeItem('chatHistoryJSON');
+    }
     addMessage('user', msg, false);
     // Now show typing indicator below the user message
     if (!messagesEl.contains(typingIndicatorEl)) {
@@ -179,107 +341,166 @@ document.addEventListener('DOMContentLoaded', () => {
     sendMsgWithTimeout();
   }
 
-  // WebSocket setup
+  // Ask the server to abort the in-flight run
+  function stopRun() {
+    if (!currentRequestId || !socket || socket.readyState !== WebSocket.OPEN) return;
+    socket.send(JSON.stringify({ version: PROTOCOL_VERSION, type: 'cancel', requestId: currentRequestId }));
+    stopButtonEl.disabled = true;
+  }
+
+  // WebSocket setup; a dropped connection is re-established and the conversation
+  // reloaded from the session store
   const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
-  const socket = new WebSocket(`${protocol}://${window.location.host}`);
+  const authQuery = authToken ? `token=${encodeURIComponent(authToken)}` : `userId=${encodeURIComponent(userId)}`;
+  const socketUrl = `${protocol}://${window.location.host}/?${authQuery}`;
+  const MAX_RECONNECT_ATTEMPTS = 3;
+  const RECONNECT_DELAY_MS = 5000;
+  let socket = null;
+  let reconnectAttempts = 0;
+
+  // Frames of the current request (see backend/protocol.js)
+  function handleFrame(event) {
+    const data = JSON.parse(event.data);
+    if (data.version !== PROTOCOL_VERSION) return;
+    // Ignore frames for requests we are no longer waiting on
+    if (data.requestId && data.requestId !== currentRequestId) return;
 
-  socket.addEventListener('open', () => {
-    addMessage('system', 'Connected to server.', false);
-  });
+    switch (data.type) {
+      case 'progress':
+        activityLog.push(data.entry);
+        renderLog();
+        break;
 
-  socket.addEventListener('message', event => {
-    const data = JSON.parse(event.data);
+      case 'delta':
+        appendStreamDelta(data.delta);
+        break;
 
-    if (data.response) {
-      hideThinking();
-      const html = DOMPurify.sanitize(marked.parse(data.response));
-      addMessage('agent', html, true);
-      chatHistory.push({ role: 'agent', text: data.response });
-      saveHistory();
-      waitingForResponse = false;
-    }
+      case 'stream_reset':
+        resetStream();
+        break;
 
-    if (data.error) {
-      hideThinking();
-      // Enhanced error display with suggestion if available
-      let errorMessage = `Error: ${data.error}`;
-      
-      // Add more user-friendly error handling
-      if (data.error.includes('captcha') || data.error.includes('automated access')) {
-        errorMessage = "I'm currently unable to search the web due to security restrictions. Please try a different query or try again later.";
-      } else if (data.error.includes('timeout')) {
-        errorMessage = "The request took too long to complete. Please try a simpler query.";
-      } else if (data.errorType === 'TypeError' || data.errorType === 'ReferenceError') {
-        errorMessage = "I'm experiencing a technical issue. Please try again.";
+      case 'response': {
+        hideThinking();
+        const html = DOMPurify.sanitize(marked.parse(data.response));
+        let answerEl;
+        if (streamingMsgEl) {
+          // Closing frame: replace the streamed text with the final answer
+          streamingMsgEl.innerHTML = html;
+          answerEl = streamingMsgEl;
+          streamingMsgEl = null;
+          streamingText = '';
+        } else {
+          answerEl = addMessage('agent', html, true);
+        }
+        addCitations(answerEl, data.sources);
+        chatHistory.push({ role: 'agent', text: data.response, sources: data.sources });
+        saveHistory();
+        waitingForResponse = false;
+        renderSessions();
+        break;
       }
-      
-      // Add suggestion if available
-      if (data.suggestion) {
-        errorMessage += `\n\nSuggestion: ${data.suggestion}`;
+
+      case 'cancelled':
+        // Drop any partially streamed answer
+        if (streamingMsgEl) streamingMsgEl.parentElement.remove();
+        streamingMsgEl = null;
+        streamingText = '';
+        hideThinking();
+        addMessage('system', 'Stopped.', false);
+        waitingForResponse = false;
+        break;
+
+      case 'error': {
+        hideThinking();
+        // Drop any partially streamed answer; the error replaces it
+        if (streamingMsgEl) streamingMsgEl.parentElement.remove();
+        streamingMsgEl = null;
+        streamingText = '';
+        // Enhanced error display with suggestion if available
+        let errorMessage = `Error: ${data.error}`;
+
+        // Add more user-friendly error handling
+        if (data.error.includes('captcha') || data.error.includes('automated access')) {
+          errorMessage = "I'm currently unable to search the web due to security restrictions. Please try a different query or try again later.";
+        } else if (data.error.includes('timeout')) {
+          errorMessage = "The request took too long to complete. Please try a simpler query.";
+        } else if (data.code === 'busy') {
+          errorMessage = "Still working on your previous messages. Please wait for them to finish.";
+        }
+
+        addMessage('system', errorMessage, false);
+        waitingForResponse = false;
+        break;
       }
-      
-      addMessage('system', errorMessage, false);
-      waitingForResponse = false;
     }
+  }
 
-    // Handle incoming log entries (bulk or single)
-    if (data.progress || data.activityLog) {
-      const logs = data.progress || data.activityLog;
-      if (Array.isArray(logs)) {
-        activityLog = logs;
-      } else {
-        activityLog.push(logs);
-      }
-      renderLog();
+  function connect() {
+    socket = new WebSocket(socketUrl);
+    setupSocketListeners(socket);
+  }
+
+  function scheduleReconnect() {
+    if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      addMessage('system', 'Could not reconnect to server. Please refresh the page.', false);
+      return;
     }
-  });
+    reconnectAttempts++;
+    setTimeout(() => {
+      addMessage('system', `Attempting to reconnect (${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})...`, false);
+      connect();
+    }, RECONNECT_DELAY_MS);
+  }
+
+  function setupSocketListeners(ws) {
+    let opened = false;
 
-  socket.addEventListener('close', () => {
-    addMessage('system', 'Disconnected from server.', false);
-    hideThinking();
-    
-    // Add reconnection attempt
-    let reconnectAttempts = 0;
-    const maxReconnectAttempts = 3;
-    const reconnectInterval = setInterval(() => {
-      if (reconnectAttempts >= maxReconnectAttempts) {
-        clearInterval(reconnectInterval);
-        addMessage('system', 'Could not reconnect to server. Please refresh the page.', false);
+    ws.addEventListener('open', () => {
+      opened = true;
+      if (reconnectAttempts === 0) {
+        addMessage('system', 'Connected to server.', false);
         return;
       }
-      
-      reconnectAttempts++;
-      addMessage('system', `Attempting to reconnect (${reconnectAttempts}/${maxReconnectAttempts})...`, false);
-      
-      // Create new socket connection
-      const newSocket = new WebSocket(`${protocol}://${window.location.host}`);
-      
-      newSocket.addEventListener('open', () => {
-        clearInterval(reconnectInterval);
-        socket = newSocket;
-        addMessage('system', 'Reconnected to server.', false);
-        setupSocketListeners(newSocket);
-      });
-      
-      newSocket.addEventListener('error', () => {
-        // Failed reconnect attempt
-      });
-    }, 5000);
-  });
+      reconnectAttempts = 0;
+      // Resume the current session: its turns, including any stored while we were
+      // away, come from the server, and the next chat frame carries its ID again
+      saveHistory();
+      loadHistory().then(() => addMessage('system', 'Reconnected to server.', false));
+      renderSessions();
+    });
 
-  socket.addEventListener('error', () => {
-    addMessage('system', 'Connection error. Please check your internet connection.', false);
-    hideThinking();
-  });
+    ws.addEventListener('message', handleFrame);
+
+    ws.addEventListener('close', event => {
+      // The server aborts runs of a closed connection; drop what was streamed of it
+      if (streamingMsgEl) streamingMsgEl.parentElement.remove();
+      streamingMsgEl = null;
+      streamingText = '';
+      hideThinking();
+      waitingForResponse = false;
+      // Reconnecting with the same credentials would be rejected again
+      if (event.code === 4401) {
+        localStorage.removeItem('authToken');
+        addMessage('system', 'Authentication required. Open this page with ?token=<your access token>.', false);
+        return;
+      }
+      if (opened) addMessage('system', 'Disconnected from server.', false);
+      scheduleReconnect();
+    });
 
-  // Function to set up socket event listeners (for reconnection)
-  function setupSocketListeners(socket) {
-    // Re-attach event listeners
-    // (Simplified - in production you would need to move all listeners to this function)
+    ws.addEventListener('error', () => {
+      // Failed reconnect attempts are reported by scheduleReconnect
+      if (reconnectAttempts === 0) {
+        addMessage('system', 'Connection error. Please check your internet connection.', false);
+      }
+    });
   }
 
+  connect();
+
   // Event listeners
   sendButtonEl.addEventListener('click', sendMsg);
+  stopButtonEl.addEventListener('click', stopRun);
   userInputEl.addEventListener('keypress', e => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -288,8 +509,73 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   clearChatButtonEl.addEventListener('click', clearHistory);
 
+  // --- Conversation sidebar ---
+  const sessionSidebarEl = document.getElementById('sessionSidebar');
+  const sessionListEl = document.getElementById('sessionList');
+  const newChatButtonEl = document.getElementById('newChatButton');
+  const sessionsToggleBtnEl = document.getElementById('sessionsToggleBtn');
+
+  async function renderSessions() {
+    let sessions = [];
+    try {
+      const res = await apiFetch('/api/sessions');
+      if (res.ok) sessions = (await res.json()).sessions;
+    } catch (e) {
+      // Keep the current list if the server is unreachable
+      return;
+    }
+    sessionListEl.innerHTML = '';
+    sessions.forEach(session => {
+      const itemEl = document.createElement('li');
+      itemEl.className = 'session-item' + (session.id === currentSessionId ? ' active' : '');
+      const titleEl = document.createElement('span');
+      titleEl.className = 'session-title';
+      titleEl.textContent = session.title || 'New conversation';
+      titleEl.title = new Date(session.updatedAt).toLocaleString();
+      const deleteEl = document.createElement('button');
+      deleteEl.className = 'session-delete';
+      deleteEl.setAttribute('aria-label', 'Delete conversation');
+      deleteEl.innerHTML = '<i data-feather="x"></i>';
+      deleteEl.addEventListener('click', e => {
+        e.stopPropagation();
+        deleteSession(session.id);
+      });
+      itemEl.append(titleEl, deleteEl);
+      itemEl.addEventListener('click', () => switchSession(session.id));
+      sessionListEl.appendChild(itemEl);
+    });
+    if (window.feather) feather.replace();
+  }
+
+  function switchSession(sessionId) {
+    if (waitingForResponse || sessionId === currentSessionId) return;
+    currentSessionId = sessionId;
+    saveHistory();
+    sessionSidebarEl.classList.remove('show');
+    loadHistory();
+    renderSessions();
+  }
+
+  async function deleteSession(sessionId) {
+    if (waitingForResponse && sessionId === currentSessionId) return;
+    await apiFetch(`/api/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' }).catch(() => {});
+    if (sessionId === currentSessionId) {
+      switchSession(newId());
+    } else {
+      renderSessions();
+    }
+  }
+
+  newChatButtonEl.addEventListener('click', () => switchSession(newId()));
+  sessionsToggleBtnEl.addEventListener('click', e => {
+    e.stopPropagation();
+    sessionSidebarEl.classList.toggle('show');
+  });
+
   // Initialize
+  saveHistory();
   loadHistory();
+  renderSessions();
   userInputEl.focus();
 
   // --- Process Log UI ---
@@ -301,8 +587,15 @@ document.addEventListener('DOMContentLoaded', () => {
   const processLogEl = document.getElementById('processLog');
   const logContentEl = document.getElementById('log-content');
   const closeLogPanelBtn = document.getElementById('closeLogPanelBtn');
+  const pipelineModeSelectEl = document.getElementById('pipelineModeSelect');
   let activityLog = [];
 
+  // Pipeline mode for new messages; empty uses the server's PIPELINE_MODE
+  pipelineModeSelectEl.value = localStorage.getItem('pipelineMode') || '';
+  pipelineModeSelectEl.addEventListener('change', () => {
+    localStorage.setItem('pipelineMode', pipelineModeSelectEl.value);
+  });
+
   function renderLog() {
     logContentEl.innerHTML = '';
     if (activityLog.length === 0) {
@@ -384,10 +677,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Clear Chat modal buttons
   confirmClearBtnEl.addEventListener('click', () => {
-    chatHistory = [];
     localStorage.removeItem('chatHistoryJSON');
-    messagesEl.innerHTML = '';
+    pendingSeedHistory = null;
     clearConfirmModalEl.hidden = true;
+    deleteSession(currentSessionId);
   });
   cancelClearBtnEl.addEventListener('click', () => {
     clearConfirmModalEl.hidden = true;